@@ -3,113 +3,785 @@
 import { ThemeManager } from './infrastructure/ThemeManager.js';
 import { Config } from './domain/value-objects/GameConfiguration.js';
 import { GAME_CONFIG, EMOJI } from './common/GameSettings.js';
-import { GameTimer } from './infrastructure/GameTimer.js';
 import { GAME_CONSTANTS } from './common/GameConstants.js';
 import { createContainer, registerDevelopmentServices } from './infrastructure/ServiceRegistration.js';
 import { BoardRenderer } from './presentation/BoardRenderer.js';
+import { CanvasBoardRenderer, CANVAS_CELL_THRESHOLD } from './presentation/CanvasBoardRenderer.js';
+import { TOUCH_MODES, DEFAULT_LONG_PRESS_DELAY } from './presentation/BoardInputHandler.js';
+import { BoardAnnouncer } from './presentation/BoardAnnouncer.js';
+import { GameRecorder, GameReplay } from './application/GameReplay.js';
+import { ReplayPlayer } from './application/ReplayPlayer.js';
+import { GameSave } from './application/GameSave.js';
+import { exportMineLayout } from './application/MinesweeperGameService.js';
+import { PresetStore } from './infrastructure/PresetStore.js';
+import { StatisticsStore } from './infrastructure/StatisticsStore.js';
+import { Result } from './common/Result.js';
+import { TOPOLOGY_TYPES, NEIGHBORHOOD_TYPES } from './common/Topology.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
   const flaggedCounterDiv = document.querySelector('.flaggedCounter');
   const timerDiv = document.querySelector('.timer');
   const boardContainer = document.querySelector('.board');
+  const boardStatus = document.querySelector('.board-status');
   const btnNewGame = document.getElementById('btnNewGame');
   const lnkBeginner = document.getElementById('lnkBeginner');
   const lnkIntermediate = document.getElementById('lnkIntermediate');
   const lnkExpert = document.getElementById('lnkExpert');
+  const customPresetsDiv = document.querySelector('.custom-presets');
+  const txtPresetName = document.getElementById('txtPresetName');
+  const btnSavePreset = document.getElementById('btnSavePreset');
+  const presetStatus = document.querySelector('.preset-status');
+  const numRows = document.getElementById('numRows');
+  const numCols = document.getElementById('numCols');
+  const numMines = document.getElementById('numMines');
+  const chkQuestionMarks = document.getElementById('chkQuestionMarks');
+  const chkNoGuess = document.getElementById('chkNoGuess');
+  const chkProbabilities = document.getElementById('chkProbabilities');
+  const chkPractice = document.getElementById('chkPractice');
+  const selTopology = document.getElementById('selTopology');
+  const chkWrap = document.getElementById('chkWrap');
+  const selNeighborhood = document.getElementById('selNeighborhood');
+  const btnUndo = document.getElementById('btnUndo');
+  const btnRedo = document.getElementById('btnRedo');
+  const btnPause = document.getElementById('btnPause');
+  const btnTouchMode = document.getElementById('btnTouchMode');
+  const selLongPress = document.getElementById('selLongPress');
+  const seedDiv = document.querySelector('.seed');
+  const analysisDiv = document.querySelector('.game-analysis');
+  const btnExportReplay = document.getElementById('btnExportReplay');
+  const fileReplay = document.getElementById('fileReplay');
+  const replayControls = document.querySelector('.replay-controls');
+  const btnReplayBack = document.getElementById('btnReplayBack');
+  const btnReplayPlay = document.getElementById('btnReplayPlay');
+  const btnReplayForward = document.getElementById('btnReplayForward');
+  const selReplaySpeed = document.getElementById('selReplaySpeed');
+  const fileStatus = document.querySelector('.file-status');
+  const btnExportBoard = document.getElementById('btnExportBoard');
+  const fileBoard = document.getElementById('fileBoard');
+  const resumeBanner = document.querySelector('.resume');
+  const btnResume = document.getElementById('btnResume');
+  const btnDiscardSave = document.getElementById('btnDiscardSave');
+  const btnStats = document.getElementById('btnStats');
+  const statsPanel = document.querySelector('.stats-panel');
+  const statsTableBody = document.querySelector('.stats-table tbody');
+  const btnResetStats = document.getElementById('btnResetStats');
+  const btnExportStats = document.getElementById('btnExportStats');
+  const fileStats = document.getElementById('fileStats');
+  const statsStatus = document.querySelector('.stats-status');
+
+  const SAVE_KEY = 'savedGame';
+
+  // A shared link like ?seed=12345 reproduces the layout of the first game
+  let pendingSeed = new URLSearchParams(window.location.search).get('seed');
 
   // Initialize theme manager
   new ThemeManager();
 
+  // Gameplay options are persisted player preferences
+  const loadPreference = (key, defaultValue) => {
+    const stored = localStorage.getItem(key);
+    return stored === null ? defaultValue : stored === 'true';
+  };
+  chkQuestionMarks.checked = loadPreference('questionMarks', GAME_CONFIG.questionMarks);
+  chkNoGuess.checked = loadPreference('noGuess', GAME_CONFIG.noGuess);
+  chkProbabilities.checked = loadPreference('probabilities', false);
+  chkPractice.checked = loadPreference('practiceMode', false);
+  chkWrap.checked = loadPreference('wrap', false);
+  const storedTopology = localStorage.getItem('topology');
+  selTopology.value = Object.values(TOPOLOGY_TYPES).includes(storedTopology) ? storedTopology : TOPOLOGY_TYPES.SQUARE;
+  const storedNeighborhood = localStorage.getItem('neighborhood');
+  selNeighborhood.value = Object.values(NEIGHBORHOOD_TYPES).includes(storedNeighborhood)
+    ? storedNeighborhood
+    : NEIGHBORHOOD_TYPES.STANDARD;
+  let touchMode = localStorage.getItem('touchMode') === TOUCH_MODES.FLAG ? TOUCH_MODES.FLAG : TOUCH_MODES.DIG;
+  selLongPress.value = localStorage.getItem('longPressDelay') ?? String(DEFAULT_LONG_PRESS_DELAY);
+  if (!selLongPress.value) selLongPress.value = String(DEFAULT_LONG_PRESS_DELAY);
+
+  const updateTouchModeButton = () => {
+    const isFlagMode = touchMode === TOUCH_MODES.FLAG;
+    btnTouchMode.innerHTML = isFlagMode ? '&#128681;' : '&#9935;';
+    btnTouchMode.title = isFlagMode ? 'Tap flags, long press digs' : 'Tap digs, long press flags';
+    btnTouchMode.setAttribute('aria-pressed', String(isFlagMode));
+  };
+  updateTouchModeButton();
+
+  const updateHistoryButtons = () => {
+    btnUndo.disabled = Boolean(replayPlayer) || !gameService?.canUndo;
+    btnRedo.disabled = Boolean(replayPlayer) || !gameService?.canRedo;
+  };
+
+  // The clock runs from the first reveal until the game ends
+  const updatePauseButton = () => {
+    const gameState = gameService?.getGameState().value;
+    const isRunning = Boolean(gameState?.isActive && gameState.firstClick);
+    btnPause.disabled = Boolean(replayPlayer) || !isRunning;
+    btnPause.innerHTML = gameState?.isPaused ? '&#9654;' : '&#9208;';
+    boardContainer.classList.toggle('paused', Boolean(gameState?.isPaused));
+  };
+
+  // Recomputed at most once per frame so a cascade triggers a single calculation
+  const scheduleProbabilityOverlay = () => {
+    if (overlayFrame !== null) return;
+    overlayFrame = requestAnimationFrame(() => {
+      overlayFrame = null;
+      const gameState = gameService.getGameState().value;
+      if (!chkProbabilities.checked || gameState.isCompleted) {
+        boardRenderer.setProbabilityOverlay(null);
+        return;
+      }
+
+      const calculator = container.resolve('mineProbabilityCalculator');
+      const probabilityResult = calculator.calculate(gameService.getPlayerView().value, gameState.remainingMines);
+      if (probabilityResult.isSuccess) {
+        boardRenderer.setProbabilityOverlay(probabilityResult.value.cells);
+      } else {
+        console.warn('Failed to calculate mine probabilities:', probabilityResult.error);
+      }
+    });
+  };
+
   // Initialize DI container
   let container;
   let gameService;
   let boardRenderer;
-  let gameTimer;
   let eventBus;
+  let overlayFrame = null;
+  let gameConfig;
+  let recorder = null;
+  let replayPlayer = null;
+  // Cleared once the game's first result is recorded, and never set for imported boards
+  let statisticsCategory = null;
 
   container = createContainer();
   registerDevelopmentServices(container);
 
-  const handleNewGame = (rows, cols) => {
+  // Replaces the renderer and timer with ones bound to a new game service
+  const mountGame = (config, service) => {
     btnNewGame.innerHTML = EMOJI.start;
-    if (gameTimer) gameTimer.stop();
+    gameService?.destroy();
     timerDiv.innerHTML = '0';
+    analysisDiv.textContent = '';
 
-    document.getElementById("numRows").value = rows;
-    document.getElementById("numCols").value = cols;
+    numRows.value = config.rows;
+    numCols.value = config.cols;
+    numMines.value = config.minesNumber;
 
     // Clean up previous game
     if (boardRenderer) {
       boardRenderer.destroy();
     }
 
-    const config = new Config(rows, cols, GAME_CONFIG.minesPercentage);
-    
-    // Create game service
-    const gameServiceFactory = container.resolve('gameServiceFactory');
-    gameService = gameServiceFactory(config);
-    
+    gameConfig = config;
+    gameService = service;
+    statisticsCategory = null;
+
     // Get dependencies
     const cellRenderer = container.resolve('cellRenderer');
     eventBus = container.resolve('eventBus');
     
-    // Create board renderer with the actual board from game service
-    const board = gameService.getBoard();
-    boardRenderer = new BoardRenderer(board, cellRenderer, gameService, eventBus, boardContainer);
+    // Renderers only get the player's view of the board;
+    // a table with one element per cell gets too slow on large boards
+    const board = gameService.getPlayerView().value;
+    const Renderer = board.bounds.rows * board.bounds.cols > CANVAS_CELL_THRESHOLD
+      ? CanvasBoardRenderer
+      : BoardRenderer;
+    boardRenderer = new Renderer(board, cellRenderer, gameService, eventBus, boardContainer, {
+      touchMode,
+      longPressDelay: Number(selLongPress.value)
+    });
+    new BoardAnnouncer(eventBus, boardStatus);
 
-    // Setup game timer
-    gameTimer = new GameTimer((seconds) => {
-      timerDiv.innerHTML = `${seconds}s`;
+    gameService.onTimerTick((seconds) => {
+      // Playback shows the recorded time instead
+      if (!replayPlayer) timerDiv.innerHTML = `${seconds}s`;
     });
 
     // Setup event listeners
     setupEventListeners(config);
+  };
+
+  const showStartedGame = (gameState) => {
+    flaggedCounterDiv.innerHTML = gameState.remainingMines;
+    seedDiv.textContent = `Seed: ${gameState.seed}`;
+    boardRenderer.refreshBoard();
+    scheduleProbabilityOverlay();
+    updateHistoryButtons();
+    updatePauseButton();
+  };
+
+  // Without an explicit mine count the default density applies
+  const createConfig = (rows, cols, minesNumber, options = {}) => {
+    let config;
+    try {
+      config = new Config(rows, cols, GAME_CONFIG.minesPercentage, { ...options, minesNumber });
+    } catch (error) {
+      return Result.failure(error.message);
+    }
+
+    const validation = container.resolve('gameRules').validateGameConfiguration(config);
+    return validation.isValid ? Result.success(config) : Result.failure(validation.errors.join('; '));
+  };
+
+  const handleNewGame = (rows, cols, minesNumber = null) => {
+    const configResult = createConfig(rows, cols, minesNumber, {
+      questionMarks: chkQuestionMarks.checked,
+      noGuess: chkNoGuess.checked,
+      practiceMode: chkPractice.checked,
+      topology: selTopology.value,
+      wrap: chkWrap.checked,
+      neighborhood: selNeighborhood.value,
+      seed: pendingSeed
+    });
+    if (configResult.isFailure) {
+      presetStatus.textContent = configResult.error;
+      return;
+    }
+
+    stopReplay();
+    presetStatus.textContent = '';
+    const config = configResult.value;
+    pendingSeed = null;
+    
+    // Create game service
+    const gameServiceFactory = container.resolve('gameServiceFactory');
+    mountGame(config, gameServiceFactory(config));
+
+    recorder = new GameRecorder(config, gameService);
+    recorder.attach(eventBus);
+    statisticsCategory = statisticsCategoryFor(config);
 
     // Start the game
     const startResult = gameService.startNewGame();
     if (startResult.isSuccess) {
-      flaggedCounterDiv.innerHTML = config.minesNumber;
-      boardRenderer.refreshBoard();
+      showStartedGame(startResult.value.gameState);
     } else {
       console.error('Failed to start game:', startResult.error);
     }
   };
 
+  // Only games past the first move are worth keeping; finished games drop the save
+  const saveGame = () => {
+    if (replayPlayer || !gameService) return;
+
+    const gameState = gameService.getGameState().value;
+    if (!gameState.isActive) {
+      localStorage.removeItem(SAVE_KEY);
+      return;
+    }
+    if (!gameState.firstClick) return;
+
+    const saveResult = GameSave.capture(gameConfig, gameService);
+    if (saveResult.isSuccess) {
+      localStorage.setItem(SAVE_KEY, JSON.stringify(saveResult.value));
+      resumeBanner.hidden = true;
+    } else {
+      console.warn('Failed to save game:', saveResult.error);
+    }
+  };
+
+  // Saved games and imported boards; on failure a fresh beginner game is shown instead
+  const loadGameSave = (save) => {
+    stopReplay();
+    // Earlier inputs are unknown, so such a game cannot be exported as a replay
+    recorder = null;
+
+    const gameServiceFactory = container.resolve('gameServiceFactory');
+    const restoreResult = save.restore((config) => {
+      const validation = container.resolve('gameRules').validateGameConfiguration(config);
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join('; '));
+      }
+      const service = gameServiceFactory(config);
+      mountGame(config, service);
+      return service;
+    });
+
+    if (restoreResult.isFailure) {
+      startLevel(GAME_CONFIG.beginner);
+      return restoreResult;
+    }
+
+    showStartedGame(gameService.getGameState().value);
+    return restoreResult;
+  };
+
+  const resumeSavedGame = (save) => {
+    const restoreResult = loadGameSave(save);
+    if (restoreResult.isFailure) {
+      console.warn('Failed to resume saved game:', restoreResult.error);
+      localStorage.removeItem(SAVE_KEY);
+      seedDiv.textContent = `Saved game could not be resumed: ${restoreResult.error}`;
+      return;
+    }
+    statisticsCategory = statisticsCategoryFor(gameConfig);
+  };
+
+  const formatMetric = (value, digits = 2) => value === null ? '–' : value.toFixed(digits);
+
+  const showAnalysis = ({ analysis, result }) => {
+    if (!analysis) {
+      analysisDiv.textContent = '';
+      return;
+    }
+
+    const { bbbv, solvedBbbv, openings, islands, clicks } = analysis;
+    analysisDiv.textContent = [
+      result === GAME_CONSTANTS.GAME_RESULTS.WON ? `3BV ${bbbv}` : `3BV ${solvedBbbv}/${bbbv}`,
+      `3BV/s ${formatMetric(analysis.bbbvPerSecond)}`,
+      `Efficiency ${formatMetric(analysis.efficiency, 0)}%`,
+      `IOE ${formatMetric(analysis.ioe)}`,
+      `Clicks ${clicks.left} left, ${clicks.right} right, ${clicks.chord} chord`,
+      `${openings} openings, ${islands} islands`
+    ].join(' · ');
+  };
+
   const setupEventListeners = (config) => {
     // Subscribe to game events
-    eventBus.subscribe('first-move', () => {
-      gameTimer.start();
-    });
+    eventBus.subscribe('first-move', (event) => {
+      updatePauseButton();
 
-    eventBus.subscribe('cell-flagged', (event) => {
-      const gameStateResult = gameService.getGameState();
-      if (gameStateResult.isSuccess) {
-        const gameState = gameStateResult.value;
-        flaggedCounterDiv.innerHTML = gameState.remainingMines;
+      const generation = event.data.generation;
+      if (generation?.reason) {
+        seedDiv.textContent += ` · no-guess fallback: ${generation.reason}`;
       }
     });
 
+    // One batch per move (undo and redo included), published after the move is recorded
+    eventBus.subscribe('board-state-changed', (event) => {
+      flaggedCounterDiv.innerHTML = event.data.gameState.remainingMines;
+      scheduleProbabilityOverlay();
+      updateHistoryButtons();
+      saveGame();
+    });
+
+    // Undo and redo may reopen a lost practice game
+    const handleHistoryMove = (event) => {
+      const { gameState, isActive } = event.data;
+
+      if (isActive) {
+        btnNewGame.innerHTML = EMOJI.start;
+        analysisDiv.textContent = '';
+      } else {
+        btnNewGame.innerHTML = gameState.result === GAME_CONSTANTS.GAME_RESULTS.WON ? EMOJI.won : EMOJI.lost;
+      }
+    };
+    eventBus.subscribe('move-undone', handleHistoryMove);
+    eventBus.subscribe('move-redone', handleHistoryMove);
+    eventBus.subscribe('move-undone', updatePauseButton);
+    eventBus.subscribe('move-redone', updatePauseButton);
+
+    eventBus.subscribe('game-paused', updatePauseButton);
+    eventBus.subscribe('game-resumed', updatePauseButton);
+    eventBus.subscribe('game-paused', saveGame);
+
     eventBus.subscribe('game-won', (event) => {
-      gameTimer.stop();
+      updatePauseButton();
       btnNewGame.innerHTML = EMOJI.won;
+      showAnalysis(event.data);
+      recordStatistics(true, event.data);
     });
 
     eventBus.subscribe('game-lost', (event) => {
-      gameTimer.stop();
+      updatePauseButton();
       btnNewGame.innerHTML = EMOJI.lost;
+      showAnalysis(event.data);
+      recordStatistics(false, event.data);
     });
   };
 
-  lnkBeginner.addEventListener('click', () => handleNewGame(GAME_CONFIG.beginner.rows, GAME_CONFIG.beginner.cols));
-  lnkIntermediate.addEventListener('click', () => handleNewGame(GAME_CONFIG.intermediate.rows, GAME_CONFIG.intermediate.cols));
-  lnkExpert.addEventListener('click', () => handleNewGame(GAME_CONFIG.expert.rows, GAME_CONFIG.expert.cols));
+  const startLevel = ({ rows, cols, minesNumber }) => handleNewGame(rows, cols, minesNumber);
+
+  lnkBeginner.addEventListener('click', () => startLevel(GAME_CONFIG.beginner));
+  lnkIntermediate.addEventListener('click', () => startLevel(GAME_CONFIG.intermediate));
+  lnkExpert.addEventListener('click', () => startLevel(GAME_CONFIG.expert));
+
+  const presetStore = new PresetStore();
+
+  const renderCustomPresets = () => {
+    customPresetsDiv.replaceChildren(...presetStore.list().map(preset => {
+      const item = document.createElement('div');
+      item.className = 'preset';
+
+      const link = document.createElement('a');
+      link.href = '#custom';
+      link.textContent = preset.name;
+      link.title = `${preset.rows}x${preset.cols}, ${preset.minesNumber} mines`;
+      link.addEventListener('click', () => startLevel(preset));
+
+      const btnDelete = document.createElement('button');
+      btnDelete.className = 'preset-delete';
+      btnDelete.title = `Delete ${preset.name}`;
+      btnDelete.textContent = '×';
+      btnDelete.addEventListener('click', () => {
+        presetStore.remove(preset.name);
+        renderCustomPresets();
+      });
+
+      item.append(link, btnDelete);
+      return item;
+    }));
+  };
+
+  btnSavePreset.addEventListener('click', () => {
+    const rows = +numRows.value;
+    const cols = +numCols.value;
+    const minesNumber = +numMines.value;
+
+    const saveResult = createConfig(rows, cols, minesNumber)
+      .flatMap(() => presetStore.save({ name: txtPresetName.value, rows, cols, minesNumber }));
+    if (saveResult.isFailure) {
+      presetStatus.textContent = saveResult.error;
+      return;
+    }
+
+    presetStatus.textContent = `Saved '${saveResult.value.name}'`;
+    txtPresetName.value = '';
+    renderCustomPresets();
+  });
+
+  renderCustomPresets();
+
+  const statisticsStore = new StatisticsStore(localStorage, 'statistics', container.resolve('logger'));
+  const LEVEL_NAMES = { beginner: 'Beginner', intermediate: 'Intermediate', expert: 'Expert' };
+
+  // Built-in levels by name, anything else by size; variants that change the difficulty get their own entry
+  const statisticsCategoryFor = (config) => {
+    const level = Object.keys(LEVEL_NAMES).find(name => {
+      const { rows, cols, minesNumber } = GAME_CONFIG[name];
+      return config.rows === rows && config.cols === cols && config.minesNumber === minesNumber;
+    });
+
+    return [
+      level ? LEVEL_NAMES[level] : `${config.rows}x${config.cols}, ${config.minesNumber} mines`,
+      config.topology === TOPOLOGY_TYPES.HEX && 'hex',
+      config.wrap && 'torus',
+      config.neighborhood !== NEIGHBORHOOD_TYPES.STANDARD && config.neighborhood,
+      config.noGuess && 'no guessing'
+    ].filter(Boolean).join(' · ');
+  };
+
+  const formatDuration = (duration) => duration === null ? '–' : `${(duration / 1000).toFixed(1)}s`;
+
+  const renderStatistics = () => {
+    statsTableBody.replaceChildren(...statisticsStore.list().map(stats => {
+      const row = document.createElement('tr');
+      const cells = [
+        stats.category,
+        stats.played,
+        stats.wins,
+        `${Math.round(stats.winRate * 100)}%`,
+        stats.currentStreak,
+        stats.bestStreak,
+        formatDuration(stats.bestTime),
+        formatDuration(stats.averageTime)
+      ].map(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        return cell;
+      });
+      row.title = stats.topTimes.length > 0
+        ? `Top times:\n${stats.topTimes.map((time, index) =>
+            `${index + 1}. ${formatDuration(time.duration)} (${time.date.slice(0, 10)})`).join('\n')}`
+        : 'No timed wins yet';
+      row.append(...cells);
+      return row;
+    }));
+  };
+
+  // Replays only show a recorded game, and a game counts once even if practice mode undoes its loss
+  const recordStatistics = (won, { duration, usedUndo }) => {
+    if (replayPlayer || !statisticsCategory) return;
+
+    const recordResult = statisticsStore.recordGame(statisticsCategory, { won, duration, usedUndo });
+    statisticsCategory = null;
+    if (recordResult.isFailure) {
+      console.warn('Failed to record statistics:', recordResult.error);
+    } else if (!statsPanel.hidden) {
+      renderStatistics();
+    }
+  };
+
+  btnStats.addEventListener('click', () => {
+    statsPanel.hidden = !statsPanel.hidden;
+    statsStatus.textContent = '';
+    if (!statsPanel.hidden) renderStatistics();
+  });
+
+  btnResetStats.addEventListener('click', () => {
+    if (!window.confirm('Reset all statistics?')) return;
+    statsStatus.textContent = statisticsStore.reset().value;
+    renderStatistics();
+  });
+
+  btnExportStats.addEventListener('click', () => {
+    const blob = new Blob([JSON.stringify(statisticsStore, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'minesweeper-statistics.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+
+  fileStats.addEventListener('change', async () => {
+    const file = fileStats.files[0];
+    fileStats.value = '';
+    if (!file) return;
+
+    const importResult = statisticsStore.importJSON(await file.text());
+    statsStatus.textContent = importResult.isSuccess
+      ? `Imported statistics for ${importResult.value} categories`
+      : `Import failed: ${importResult.error}`;
+    renderStatistics();
+  });
+
+  const undoMove = () => {
+    const undoResult = gameService.undo();
+    if (undoResult.isFailure) console.warn('Undo failed:', undoResult.error);
+    updateHistoryButtons();
+  };
+
+  const redoMove = () => {
+    const redoResult = gameService.redo();
+    if (redoResult.isFailure) console.warn('Redo failed:', redoResult.error);
+    updateHistoryButtons();
+  };
+
+  const downloadReplay = (replay) => {
+    const blob = new Blob([JSON.stringify(replay, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `minesweeper-replay-${replay.config.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  const updateReplayControls = ({ position, length, elapsed, isPlaying }) => {
+    btnReplayPlay.innerHTML = isPlaying ? '&#9208;' : '&#9654;';
+    btnReplayBack.disabled = position === 0;
+    btnReplayForward.disabled = position >= length;
+    fileStatus.textContent = `Replay ${position}/${length}`;
+    timerDiv.innerHTML = `${Math.floor(elapsed / 1000)}s`;
+  };
+
+  const startReplay = (replay) => {
+    stopReplay();
+    recorder = null;
+
+    replayPlayer = new ReplayPlayer(replay, (config) => {
+      const service = container.resolve('gameServiceFactory')(config);
+      mountGame(config, service);
+      return service;
+    }, {
+      onReset: (service) => showStartedGame(service.getGameState().value),
+      onProgress: updateReplayControls
+    });
+    replayPlayer.setSpeed(Number(selReplaySpeed.value));
+
+    boardContainer.classList.add('replaying');
+    replayControls.hidden = false;
+
+    // A replay that slipped past validation must not leave an unhandled error behind the file input
+    let loadResult;
+    try {
+      loadResult = replayPlayer.load();
+    } catch (error) {
+      loadResult = Result.failure(error.message);
+    }
+    if (loadResult.isFailure) {
+      stopReplay();
+      fileStatus.textContent = `Replay failed: ${loadResult.error}`;
+    }
+  };
+
+  const stopReplay = () => {
+    if (!replayPlayer) return;
+    replayPlayer.pause();
+    replayPlayer = null;
+    boardContainer.classList.remove('replaying');
+    replayControls.hidden = true;
+    fileStatus.textContent = '';
+  };
+
+  btnExportReplay.addEventListener('click', () => {
+    if (replayPlayer) {
+      downloadReplay(replayPlayer.replay);
+      return;
+    }
+
+    if (!recorder) {
+      fileStatus.textContent = 'Resumed or imported games cannot be exported as replays';
+      return;
+    }
+
+    const replayResult = recorder.createReplay();
+    if (replayResult.isSuccess) {
+      downloadReplay(replayResult.value);
+    } else {
+      fileStatus.textContent = replayResult.error;
+    }
+  });
+
+  fileReplay.addEventListener('change', async () => {
+    const file = fileReplay.files[0];
+    fileReplay.value = '';
+    if (!file) return;
+
+    const replayResult = GameReplay.fromJSON(await file.text(), container.resolve('gameRules'));
+    if (replayResult.isSuccess) {
+      startReplay(replayResult.value);
+    } else {
+      fileStatus.textContent = `Import failed: ${replayResult.error}`;
+    }
+  });
+
+  btnExportBoard.addEventListener('click', () => {
+    const textResult = exportMineLayout(gameService)
+      .flatMap(layout => container.resolve('boardTextFormat').format(layout));
+    if (textResult.isFailure) {
+      fileStatus.textContent = textResult.error;
+      return;
+    }
+
+    const blob = new Blob([textResult.value], { type: 'text/plain' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `minesweeper-board-${gameConfig.rows}x${gameConfig.cols}.txt`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+
+  fileBoard.addEventListener('change', async () => {
+    const file = fileBoard.files[0];
+    fileBoard.value = '';
+    if (!file) return;
+
+    const layoutResult = container.resolve('boardTextFormat').parse(await file.text());
+    const loadResult = layoutResult.flatMap(layout => loadGameSave(GameSave.fromLayout(layout, {
+      questionMarks: chkQuestionMarks.checked,
+      practiceMode: chkPractice.checked,
+      topology: selTopology.value,
+      wrap: chkWrap.checked,
+      neighborhood: selNeighborhood.value
+    })));
+    if (loadResult.isFailure) {
+      fileStatus.textContent = `Import failed: ${loadResult.error}`;
+    }
+  });
+
+  btnReplayPlay.addEventListener('click', () => {
+    if (replayPlayer.isPlaying) {
+      replayPlayer.pause();
+    } else if (replayPlayer.isFinished) {
+      replayPlayer.load();
+      replayPlayer.play();
+    } else {
+      replayPlayer.play();
+    }
+  });
+
+  btnReplayBack.addEventListener('click', () => replayPlayer.stepBack());
+  btnReplayForward.addEventListener('click', () => replayPlayer.stepForward());
+  selReplaySpeed.addEventListener('change', () => replayPlayer?.setSpeed(Number(selReplaySpeed.value)));
+
+  const togglePause = () => {
+    const pauseResult = gameService.isPaused ? gameService.resume() : gameService.pause();
+    if (pauseResult.isFailure) console.warn('Pause failed:', pauseResult.error);
+  };
+
+  btnPause.addEventListener('click', togglePause);
+
+  btnTouchMode.addEventListener('click', () => {
+    touchMode = touchMode === TOUCH_MODES.DIG ? TOUCH_MODES.FLAG : TOUCH_MODES.DIG;
+    localStorage.setItem('touchMode', touchMode);
+    boardRenderer.setTouchMode(touchMode);
+    updateTouchModeButton();
+  });
+
+  selLongPress.addEventListener('change', () => {
+    localStorage.setItem('longPressDelay', selLongPress.value);
+    boardRenderer.setLongPressDelay(Number(selLongPress.value));
+  });
+  btnUndo.addEventListener('click', undoMove);
+  btnRedo.addEventListener('click', redoMove);
+
+  document.addEventListener('keydown', (event) => {
+    if (!(event.ctrlKey || event.metaKey) || !gameService || replayPlayer) return;
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      undoMove();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+      event.preventDefault();
+      redoMove();
+    }
+  });
+
+  selNeighborhood.addEventListener('change', () => {
+    localStorage.setItem('neighborhood', selNeighborhood.value);
+  });
+
+  chkWrap.addEventListener('change', () => {
+    localStorage.setItem('wrap', String(chkWrap.checked));
+  });
+
+  selTopology.addEventListener('change', () => {
+    localStorage.setItem('topology', selTopology.value);
+  });
+
+  chkPractice.addEventListener('change', () => {
+    localStorage.setItem('practiceMode', String(chkPractice.checked));
+  });
+
+  chkProbabilities.addEventListener('change', () => {
+    localStorage.setItem('probabilities', String(chkProbabilities.checked));
+    if (gameService) scheduleProbabilityOverlay();
+  });
+
+  chkNoGuess.addEventListener('change', () => {
+    localStorage.setItem('noGuess', String(chkNoGuess.checked));
+  });
+
+  chkQuestionMarks.addEventListener('change', () => {
+    // Applies from the next game on, so a recorded game always has a single flag cycle
+    localStorage.setItem('questionMarks', String(chkQuestionMarks.checked));
+  });
 
   btnNewGame.addEventListener('click', () => {
-    const rows = +document.getElementById("numRows").value || 10;
-    const cols = +document.getElementById("numCols").value || 10;
-    handleNewGame(rows, cols);
+    const rows = +numRows.value || 10;
+    const cols = +numCols.value || 10;
+    handleNewGame(rows, cols, +numMines.value || null);
+  });
+
+  // Keeps the elapsed time current when the page is closed or reloaded
+  window.addEventListener('pagehide', saveGame);
+
+  // Time spent in another tab does not count; the player resumes by hand
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden && gameService && !replayPlayer && !gameService.isPaused) {
+      gameService.pause();
+    }
   });
 
   // Auto-load beginner game on page load
-  handleNewGame(GAME_CONFIG.beginner.rows, GAME_CONFIG.beginner.cols);
+  startLevel(GAME_CONFIG.beginner);
+
+  const storedSave = localStorage.getItem(SAVE_KEY);
+  if (storedSave) {
+    const saveResult = GameSave.fromJSON(storedSave);
+    if (saveResult.isSuccess) {
+      resumeBanner.hidden = false;
+      btnResume.addEventListener('click', () => {
+        resumeBanner.hidden = true;
+        resumeSavedGame(saveResult.value);
+      });
+    } else {
+      console.warn('Discarding unreadable saved game:', saveResult.error);
+      localStorage.removeItem(SAVE_KEY);
+    }
+  }
+
+  btnDiscardSave.addEventListener('click', () => {
+    resumeBanner.hidden = true;
+    localStorage.removeItem(SAVE_KEY);
+  });
 });
\ No newline at end of file
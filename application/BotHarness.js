@@ -0,0 +1,161 @@
+"use strict";
+
+import { SeededRandom } from '../common/SeededRandom.js';
+import { Result } from '../common/Result.js';
+import { FrontierAnalysis } from '../domain/services/FrontierAnalysis.js';
+
+// Named so the JSON report reads without the numeric GAME_RESULTS codes
+export const BOT_GAME_RESULTS = Object.freeze({
+  WON: 'won',
+  LOST: 'lost',
+  // The strategy had no move left, or the move cap was reached
+  STALLED: 'stalled'
+});
+
+const DEFAULT_MAX_MOVES = 100000;
+
+const average = (values) => values.length === 0
+  ? null
+  : values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Plays games headlessly with a bot strategy (see BotStrategies) and
+ * summarizes how it did. Games are driven only through the public
+ * MinesweeperGameService API, one fresh service per game.
+ */
+export class BotHarness {
+  #gameServiceFactory;
+  #eventBus;
+
+  constructor(gameServiceFactory, eventBus) {
+    this.#gameServiceFactory = gameServiceFactory;
+    this.#eventBus = eventBus;
+  }
+
+  // Game seeds are drawn from the run seed, so a run can be repeated exactly
+  run({ config, strategy, games, seed = SeededRandom.createSeed(), maxMoves = DEFAULT_MAX_MOVES, onGameEnd = () => {} }) {
+    if (!Number.isInteger(games) || games <= 0) {
+      return Result.failure('Number of games must be a positive integer');
+    }
+
+    const seeds = new SeededRandom(seed);
+    const results = [];
+    const started = performance.now();
+
+    for (let index = 0; index < games; index++) {
+      const gameResult = this.playGame(config, strategy, seeds.nextInt(4294967296), maxMoves);
+      if (gameResult.isFailure) {
+        return Result.failure(`Game ${index + 1} failed: ${gameResult.error}`);
+      }
+      results.push(gameResult.value);
+      onGameEnd(gameResult.value, index);
+    }
+
+    return Result.success(this.#summarize(config, strategy, seeds.seed, results, performance.now() - started));
+  }
+
+  playGame(config, strategy, seed, maxMoves = DEFAULT_MAX_MOVES) {
+    let ending = null;
+    const unsubscribers = [
+      this.#eventBus.subscribe('game-won', (event) => { ending = { ...event.data, result: BOT_GAME_RESULTS.WON }; }),
+      this.#eventBus.subscribe('game-lost', (event) => { ending = { ...event.data, result: BOT_GAME_RESULTS.LOST }; })
+    ];
+    const gameService = this.#gameServiceFactory(config, seed);
+    const started = performance.now();
+    let moves = 0;
+
+    try {
+      gameService.startNewGame();
+
+      while (ending === null && moves < maxMoves) {
+        const viewResult = FrontierAnalysis.createView(gameService.getPlayerView().value);
+        if (viewResult.isFailure) {
+          return Result.failure(viewResult.error);
+        }
+
+        const planned = strategy.chooseMoves({ view: viewResult.value, gameState: gameService.getGameState().value });
+        const playable = planned.filter(move => this.#isPlayable(gameService, move));
+        if (playable.length === 0) {
+          break;
+        }
+
+        for (const move of playable) {
+          // An earlier move of the batch may have opened this cell or ended the game
+          if (ending !== null || moves >= maxMoves || !this.#isPlayable(gameService, move)) {
+            continue;
+          }
+          const moveResult = this.#perform(gameService, move);
+          if (moveResult.isFailure) {
+            return Result.failure(`Cannot ${move.action} ${move.position.x},${move.position.y}: ${moveResult.error}`);
+          }
+          moves++;
+        }
+      }
+    } finally {
+      gameService.destroy();
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    return Result.success({
+      seed,
+      result: ending?.result ?? BOT_GAME_RESULTS.STALLED,
+      moves,
+      timeMs: performance.now() - started,
+      bbbv: ending?.analysis?.bbbv ?? null,
+      solvedBbbv: ending?.analysis?.solvedBbbv ?? null
+    });
+  }
+
+  #isPlayable(gameService, { action, position }) {
+    const cellResult = gameService.getPlayerView().value.getCellAt(position);
+    if (cellResult.isFailure) {
+      return false;
+    }
+    const cell = cellResult.value;
+    if (action === 'reveal') return cell.isHidden;
+    return action === 'chord' ? cell.isRevealed : !cell.isRevealed && !cell.isDisabled;
+  }
+
+  #perform(gameService, { action, position }) {
+    switch (action) {
+      case 'reveal':
+        return gameService.revealCell(position);
+      case 'flag':
+        return gameService.toggleCellFlag(position);
+      case 'chord':
+        return gameService.chordCell(position);
+      default:
+        return Result.failure(`Unknown bot action '${action}'`);
+    }
+  }
+
+  #summarize(config, strategy, seed, results, totalTimeMs) {
+    const count = (result) => results.filter(game => game.result === result).length;
+    const wins = count(BOT_GAME_RESULTS.WON);
+    const bbbvs = results.map(game => game.bbbv).filter(bbbv => bbbv !== null);
+
+    return {
+      strategy: strategy.name,
+      board: {
+        rows: config.rows,
+        cols: config.cols,
+        mines: config.minesNumber,
+        topology: config.topology,
+        wrap: config.wrap,
+        neighborhood: config.neighborhood,
+        noGuess: config.noGuess
+      },
+      seed,
+      games: results.length,
+      wins,
+      losses: count(BOT_GAME_RESULTS.LOST),
+      stalled: count(BOT_GAME_RESULTS.STALLED),
+      winRate: wins / results.length,
+      averageBbbv: average(bbbvs),
+      averageTimeMs: totalTimeMs / results.length,
+      averageMoves: average(results.map(game => game.moves)),
+      totalTimeMs,
+      results
+    };
+  }
+}
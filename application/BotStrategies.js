@@ -0,0 +1,98 @@
+"use strict";
+
+import { GAME_CONSTANTS } from '../common/GameConstants.js';
+
+const { CELL_STATES } = GAME_CONSTANTS;
+
+const hiddenPositions = (view) =>
+  view.cells.filter(cell => cell.state === CELL_STATES.HIDDEN).map(cell => cell.position);
+
+/**
+ * Bot players for the harness. A strategy sees only the player-visible board
+ * view and the game state, and answers with the moves it wants to make next,
+ * each { action: 'reveal' | 'flag' | 'chord', position }.
+ */
+export class BotStrategy {
+  get name() {
+    throw new Error('name getter must be implemented');
+  }
+
+  chooseMoves({ view, gameState }) {
+    throw new Error('chooseMoves method must be implemented');
+  }
+}
+
+// Baseline: reveals a uniformly random hidden cell every turn
+export class RandomClickerBot extends BotStrategy {
+  #random;
+
+  constructor(random) {
+    super();
+    this.#random = random;
+  }
+
+  get name() {
+    return 'random';
+  }
+
+  chooseMoves({ view }) {
+    const candidates = hiddenPositions(view);
+    if (candidates.length === 0) {
+      return [];
+    }
+    return [{ action: 'reveal', position: candidates[this.#random.nextInt(candidates.length)] }];
+  }
+}
+
+// Opens every cell the solver proves safe; when stuck, guesses the cell least likely to hold a mine
+export class SolverBot extends BotStrategy {
+  #solver;
+  #probabilityCalculator;
+
+  constructor(solver, probabilityCalculator) {
+    super();
+    this.#solver = solver;
+    this.#probabilityCalculator = probabilityCalculator;
+  }
+
+  get name() {
+    return 'solver';
+  }
+
+  chooseMoves({ view, gameState }) {
+    const solveResult = this.#solver.solve(view, { mineCount: gameState.mineCount });
+    if (solveResult.isSuccess && solveResult.value.safe.length > 0) {
+      return solveResult.value.safe.map(deduction => ({ action: 'reveal', position: deduction.position }));
+    }
+
+    const guess = this.#safestGuess(view, gameState.remainingMines);
+    return guess ? [{ action: 'reveal', position: guess }] : [];
+  }
+
+  // Ties keep board order, so the opening move is always the top-left corner
+  #safestGuess(view, remainingMines) {
+    const probabilityResult = this.#probabilityCalculator.calculate(view, remainingMines);
+    if (probabilityResult.isFailure || probabilityResult.value.cells.length === 0) {
+      return hiddenPositions(view)[0] ?? null;
+    }
+
+    let best = null;
+    for (const entry of probabilityResult.value.cells) {
+      if (best === null || entry.probability < best.probability ||
+          (entry.probability === best.probability && compareBoardOrder(entry.position, best.position) < 0)) {
+        best = entry;
+      }
+    }
+    return best.position;
+  }
+}
+
+function compareBoardOrder(a, b) {
+  return a.x - b.x || a.y - b.y;
+}
+
+// Builds a strategy by name from the services it needs
+export const BOT_STRATEGIES = Object.freeze({
+  random: ({ random }) => new RandomClickerBot(random),
+  solver: ({ solver, probabilityCalculator }) => new SolverBot(solver, probabilityCalculator)
+});
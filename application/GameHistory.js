@@ -0,0 +1,138 @@
+"use strict";
+
+import { Result } from '../common/Result.js';
+
+/**
+ * A recorded player move: every cell state change it caused plus the
+ * game snapshots taken right before and right after it.
+ */
+export class MoveCommand {
+  #type;
+  #position;
+  #cellChanges;
+  #before;
+  #after;
+
+  constructor({ type, position, cellChanges, before, after }) {
+    this.#type = type;
+    this.#position = position;
+    this.#cellChanges = Object.freeze([...cellChanges]);
+    this.#before = before;
+    this.#after = after;
+  }
+
+  get type() {
+    return this.#type;
+  }
+
+  get position() {
+    return this.#position;
+  }
+
+  get before() {
+    return this.#before;
+  }
+
+  get after() {
+    return this.#after;
+  }
+
+  get affectedPositions() {
+    const positions = new Map();
+    for (const change of this.#cellChanges) {
+      positions.set(`${change.position.x},${change.position.y}`, change.position);
+    }
+    return Array.from(positions.values());
+  }
+
+  undo(board) {
+    // Reverse order, since a cell may change more than once in a move (revealed, then disabled)
+    for (let i = this.#cellChanges.length - 1; i >= 0; i--) {
+      const change = this.#cellChanges[i];
+      const restoreResult = this.#restoreCell(board, change.position, change.from);
+      if (restoreResult.isFailure) {
+        return restoreResult;
+      }
+    }
+    return Result.success(this.#before);
+  }
+
+  redo(board) {
+    for (const change of this.#cellChanges) {
+      const restoreResult = this.#restoreCell(board, change.position, change.to);
+      if (restoreResult.isFailure) {
+        return restoreResult;
+      }
+    }
+    return Result.success(this.#after);
+  }
+
+  #restoreCell(board, position, state) {
+    return board.getCellAt(position).flatMap(cell => cell.restoreState(state));
+  }
+}
+
+export class GameHistory {
+  #undoStack = [];
+  #redoStack = [];
+
+  record(command) {
+    if (!(command instanceof MoveCommand)) {
+      throw new TypeError('History entries must be MoveCommand instances');
+    }
+
+    this.#undoStack.push(command);
+    this.#redoStack = [];
+  }
+
+  get canUndo() {
+    return this.#undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.#redoStack.length > 0;
+  }
+
+  peekUndo() {
+    return this.#undoStack[this.#undoStack.length - 1] ?? null;
+  }
+
+  peekRedo() {
+    return this.#redoStack[this.#redoStack.length - 1] ?? null;
+  }
+
+  undo(board) {
+    if (!this.canUndo) {
+      return Result.failure('Nothing to undo');
+    }
+
+    const command = this.#undoStack.pop();
+    const undoResult = command.undo(board);
+    if (undoResult.isFailure) {
+      return undoResult;
+    }
+
+    this.#redoStack.push(command);
+    return Result.success(command);
+  }
+
+  redo(board) {
+    if (!this.canRedo) {
+      return Result.failure('Nothing to redo');
+    }
+
+    const command = this.#redoStack.pop();
+    const redoResult = command.redo(board);
+    if (redoResult.isFailure) {
+      return redoResult;
+    }
+
+    this.#undoStack.push(command);
+    return Result.success(command);
+  }
+
+  clear() {
+    this.#undoStack = [];
+    this.#redoStack = [];
+  }
+}
@@ -0,0 +1,226 @@
+"use strict";
+
+import { Result } from '../common/Result.js';
+import { TypeGuards } from '../common/TypeGuards.js';
+import { Config } from '../domain/value-objects/GameConfiguration.js';
+import { GameRules } from '../domain/services/GameRules.js';
+import { TOPOLOGY_TYPES, NEIGHBORHOOD_TYPES } from '../common/Topology.js';
+import { exportMineLayout } from './MinesweeperGameService.js';
+
+export const REPLAY_FORMAT_VERSION = 1;
+
+export const REPLAY_ACTIONS = Object.freeze(['reveal', 'flag', 'chord', 'undo', 'redo']);
+
+// Actions that carry no board position
+const POSITIONLESS_ACTIONS = new Set(['undo', 'redo']);
+
+/**
+ * Immutable record of one game: its configuration, the exact mine layout
+ * and every player input with the game time at which it was made.
+ */
+export class GameReplay {
+  #config;
+  #mines;
+  #actions;
+  #result;
+  #duration;
+
+  constructor({ config, mines, actions, result = null, duration = null }) {
+    this.#config = Object.freeze({ ...config });
+    this.#mines = Object.freeze(mines.map(({ x, y }) => Object.freeze({ x, y })));
+    this.#actions = Object.freeze(actions.map(action => Object.freeze({
+      time: action.time,
+      action: action.action,
+      position: action.position ? Object.freeze({ x: action.position.x, y: action.position.y }) : null
+    })));
+    this.#result = result;
+    this.#duration = duration;
+  }
+
+  get config() {
+    return this.#config;
+  }
+
+  get mines() {
+    return this.#mines;
+  }
+
+  get actions() {
+    return this.#actions;
+  }
+
+  get result() {
+    return this.#result;
+  }
+
+  get duration() {
+    return this.#duration;
+  }
+
+  // Game configuration that rebuilds the recorded board, bypassing random placement
+  toConfig() {
+    const { rows, cols, minesPercentage, seed, questionMarks, practiceMode, topology, wrap, neighborhood } = this.#config;
+    return new Config(rows, cols, minesPercentage, {
+      seed,
+      questionMarks,
+      practiceMode,
+      topology,
+      wrap,
+      neighborhood,
+      mineLayout: this.#mines
+    });
+  }
+
+  toJSON() {
+    return {
+      version: REPLAY_FORMAT_VERSION,
+      config: this.#config,
+      mines: this.#mines,
+      actions: this.#actions,
+      result: this.#result,
+      duration: this.#duration
+    };
+  }
+
+  // The configuration goes through the same rules as a new game, so a file cannot ask for a board the game would refuse
+  static fromJSON(json, gameRules = new GameRules()) {
+    let data;
+    try {
+      data = TypeGuards.isString(json) ? JSON.parse(json) : json;
+    } catch (error) {
+      return Result.failure(`Replay is not valid JSON: ${error.message}`);
+    }
+
+    if (!TypeGuards.isObject(data)) {
+      return Result.failure('Replay must be a JSON object');
+    }
+    if (data.version !== REPLAY_FORMAT_VERSION) {
+      return Result.failure(`Unsupported replay version: ${data.version}`);
+    }
+
+    const config = data.config;
+    if (!TypeGuards.isObject(config) || !TypeGuards.isValidBounds(config) ||
+        !TypeGuards.isNumber(config.minesPercentage) || config.minesPercentage <= 0) {
+      return Result.failure('Replay has an invalid game configuration');
+    }
+    if (config.topology !== undefined && !Object.values(TOPOLOGY_TYPES).includes(config.topology)) {
+      return Result.failure(`Replay uses an unknown board topology: ${config.topology}`);
+    }
+    if (config.neighborhood !== undefined && !Object.values(NEIGHBORHOOD_TYPES).includes(config.neighborhood)) {
+      return Result.failure(`Replay uses an unknown neighborhood: ${config.neighborhood}`);
+    }
+
+    const isOnBoard = (position) => TypeGuards.isValidPosition(position) &&
+      position.x < config.rows && position.y < config.cols;
+
+    if (!Array.isArray(data.mines) || data.mines.length === 0 ||
+        !TypeGuards.isValidMineCount(data.mines.length, config.rows * config.cols)) {
+      return Result.failure('Replay has an invalid mine layout');
+    }
+    const mineKeys = new Set();
+    for (const mine of data.mines) {
+      if (!isOnBoard(mine)) {
+        return Result.failure('Replay mine layout contains a position outside the board');
+      }
+      mineKeys.add(`${mine.x},${mine.y}`);
+    }
+    if (mineKeys.size !== data.mines.length) {
+      return Result.failure('Replay mine layout contains duplicate positions');
+    }
+
+    if (!Array.isArray(data.actions)) {
+      return Result.failure('Replay has no action list');
+    }
+    let previousTime = 0;
+    for (const [index, action] of data.actions.entries()) {
+      if (!TypeGuards.isObject(action) || !REPLAY_ACTIONS.includes(action.action)) {
+        return Result.failure(`Replay action ${index} has an unknown type`);
+      }
+      if (!TypeGuards.isNumber(action.time) || action.time < previousTime) {
+        return Result.failure(`Replay action ${index} has an invalid time`);
+      }
+      if (!POSITIONLESS_ACTIONS.has(action.action) && !isOnBoard(action.position)) {
+        return Result.failure(`Replay action ${index} has an invalid position`);
+      }
+      previousTime = action.time;
+    }
+
+    const replay = new GameReplay(data);
+    let replayConfig;
+    try {
+      replayConfig = replay.toConfig();
+    } catch (error) {
+      return Result.failure(`Replay has an invalid game configuration: ${error.message}`);
+    }
+    const validation = gameRules.validateGameConfiguration(replayConfig);
+    if (!validation.isValid) {
+      return Result.failure(`Replay has an invalid game configuration: ${validation.errors.join('; ')}`);
+    }
+
+    return Result.success(replay);
+  }
+}
+
+/**
+ * Records player inputs from the EventBus while a game is played.
+ */
+export class GameRecorder {
+  #config;
+  #gameService;
+  #actions = [];
+  #result = null;
+  #duration = null;
+
+  constructor(config, gameService) {
+    this.#config = config;
+    this.#gameService = gameService;
+  }
+
+  // Returns an unsubscribe function
+  attach(eventBus) {
+    const subscriptions = [
+      eventBus.subscribe('player-action', (event) => this.#recordAction(event)),
+      eventBus.subscribe('game-won', (event) => this.#recordEnd(event)),
+      eventBus.subscribe('game-lost', (event) => this.#recordEnd(event))
+    ];
+    return () => subscriptions.forEach(unsubscribe => unsubscribe());
+  }
+
+  get actionCount() {
+    return this.#actions.length;
+  }
+
+  createReplay() {
+    return exportMineLayout(this.#gameService).map(({ mines }) => new GameReplay({
+      config: {
+        rows: this.#config.rows,
+        cols: this.#config.cols,
+        minesPercentage: this.#config.minesPercentage,
+        seed: this.#gameService.getGameState().value.seed,
+        questionMarks: this.#config.questionMarks,
+        practiceMode: this.#config.practiceMode,
+        topology: this.#config.topology,
+        wrap: this.#config.wrap,
+        neighborhood: this.#config.neighborhood
+      },
+      mines,
+      actions: this.#actions,
+      result: this.#result,
+      duration: this.#duration
+    }));
+  }
+
+  // Times come from the game clock, so pauses are left out of the replay
+  #recordAction(event) {
+    this.#actions.push({
+      time: event.data.elapsed,
+      action: event.data.action,
+      position: event.data.position
+    });
+  }
+
+  #recordEnd(event) {
+    this.#result = event.data.result;
+    this.#duration = event.data.duration;
+  }
+}
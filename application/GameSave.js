@@ -0,0 +1,211 @@
+"use strict";
+
+import { Result } from '../common/Result.js';
+import { TypeGuards } from '../common/TypeGuards.js';
+import { GAME_CONSTANTS } from '../common/GameConstants.js';
+import { Config } from '../domain/value-objects/GameConfiguration.js';
+import { TOPOLOGY_TYPES, NEIGHBORHOOD_TYPES } from '../common/Topology.js';
+import { exportGameState } from './MinesweeperGameService.js';
+
+export const SAVE_FORMAT_VERSION = 1;
+
+const COUNTER_FIELDS = ['flaggedCellsCount', 'revealedCellsCount', 'mineCount'];
+
+/**
+ * Snapshot of an unfinished game: configuration, mine layout, the state of every
+ * cell (row by row), counters and elapsed time. Restoring rebuilds the game on a
+ * fresh service, which re-checks the snapshot against the board it produces.
+ */
+export class GameSave {
+  #config;
+  #mines;
+  #cellStates;
+  #gameState;
+  #isFirstMove;
+  #elapsed;
+
+  constructor({ config, mines, cellStates, gameState, isFirstMove, elapsed = 0 }) {
+    this.#config = Object.freeze({ ...config });
+    this.#mines = Object.freeze(mines.map(({ x, y }) => Object.freeze({ x, y })));
+    this.#cellStates = Object.freeze([...cellStates]);
+    this.#gameState = Object.freeze({ ...gameState });
+    this.#isFirstMove = Boolean(isFirstMove);
+    this.#elapsed = elapsed;
+  }
+
+  static capture(config, gameService) {
+    return exportGameState(gameService).map(state => new GameSave({
+      config: {
+        rows: config.rows,
+        cols: config.cols,
+        minesPercentage: config.minesPercentage,
+        minesNumber: config.minesNumber,
+        questionMarks: config.questionMarks,
+        noGuess: config.noGuess,
+        practiceMode: config.practiceMode,
+        topology: config.topology,
+        wrap: config.wrap,
+        neighborhood: config.neighborhood,
+        seed: state.gameState.seed
+      },
+      ...state
+    }));
+  }
+
+  // Hand-made layout (see BoardTextFormat); revealed cells make it a game in progress
+  static fromLayout({ bounds, mines, cellStates }, { questionMarks = false, practiceMode = false, topology, wrap = false, neighborhood } = {}) {
+    const { CELL_STATES } = GAME_CONSTANTS;
+    const countCells = (state) => cellStates.filter(cellState => cellState === state).length;
+    const firstRevealed = cellStates.indexOf(CELL_STATES.REVEALED);
+
+    return new GameSave({
+      config: {
+        rows: bounds.rows,
+        cols: bounds.cols,
+        minesPercentage: mines.length / (bounds.rows * bounds.cols) * 100,
+        questionMarks,
+        noGuess: false,
+        practiceMode,
+        topology,
+        wrap,
+        neighborhood,
+        seed: null
+      },
+      mines,
+      cellStates,
+      gameState: {
+        mineCount: mines.length,
+        flaggedCellsCount: countCells(CELL_STATES.FLAGGED),
+        revealedCellsCount: countCells(CELL_STATES.REVEALED),
+        firstClick: firstRevealed < 0 ? null : {
+          x: Math.floor(firstRevealed / bounds.cols),
+          y: firstRevealed % bounds.cols
+        }
+      },
+      isFirstMove: firstRevealed < 0
+    });
+  }
+
+  get config() {
+    return this.#config;
+  }
+
+  get isFirstMove() {
+    return this.#isFirstMove;
+  }
+
+  // Elapsed play time in milliseconds
+  get elapsed() {
+    return this.#elapsed;
+  }
+
+  // A regular save made before the first move has no mines; the seed alone reproduces the layout
+  toConfig() {
+    const { rows, cols, minesPercentage, minesNumber, seed, questionMarks, noGuess, practiceMode, topology, wrap, neighborhood } = this.#config;
+    return new Config(rows, cols, minesPercentage, {
+      minesNumber,
+      topology,
+      wrap,
+      neighborhood,
+      seed,
+      questionMarks,
+      noGuess,
+      practiceMode,
+      mineLayout: this.#mines.length > 0 ? this.#mines : null
+    });
+  }
+
+  // Returns the restored (already active) game service
+  restore(createGameService) {
+    let gameService;
+    try {
+      gameService = createGameService(this.toConfig());
+    } catch (error) {
+      return Result.failure(`Saved game cannot be rebuilt: ${error.message}`);
+    }
+
+    return gameService.restoreState({
+      isFirstMove: this.#isFirstMove,
+      gameState: this.#gameState,
+      cellStates: this.#cellStates,
+      elapsed: this.#elapsed
+    }).map(() => gameService);
+  }
+
+  toJSON() {
+    return {
+      version: SAVE_FORMAT_VERSION,
+      savedAt: new Date().toISOString(),
+      config: this.#config,
+      mines: this.#mines,
+      cellStates: this.#cellStates,
+      gameState: this.#gameState,
+      isFirstMove: this.#isFirstMove,
+      elapsed: this.#elapsed
+    };
+  }
+
+  static fromJSON(json) {
+    let data;
+    try {
+      data = TypeGuards.isString(json) ? JSON.parse(json) : json;
+    } catch (error) {
+      return Result.failure(`Saved game is not valid JSON: ${error.message}`);
+    }
+
+    if (!TypeGuards.isObject(data)) {
+      return Result.failure('Saved game must be a JSON object');
+    }
+    if (data.version !== SAVE_FORMAT_VERSION) {
+      return Result.failure(`Unsupported save version: ${data.version}`);
+    }
+
+    const config = data.config;
+    if (!TypeGuards.isObject(config) || !TypeGuards.isValidBounds(config) ||
+        !TypeGuards.isNumber(config.minesPercentage) || config.minesPercentage <= 0) {
+      return Result.failure('Saved game has an invalid configuration');
+    }
+    if (config.topology !== undefined && !Object.values(TOPOLOGY_TYPES).includes(config.topology)) {
+      return Result.failure(`Saved game uses an unknown board topology: ${config.topology}`);
+    }
+    if (config.neighborhood !== undefined && !Object.values(NEIGHBORHOOD_TYPES).includes(config.neighborhood)) {
+      return Result.failure(`Saved game uses an unknown neighborhood: ${config.neighborhood}`);
+    }
+
+    const totalCells = config.rows * config.cols;
+    const cellStates = Object.values(GAME_CONSTANTS.CELL_STATES);
+    if (!Array.isArray(data.cellStates) || data.cellStates.length !== totalCells ||
+        !data.cellStates.every(state => cellStates.includes(state))) {
+      return Result.failure('Saved game has invalid cell states');
+    }
+
+    if (typeof data.isFirstMove !== 'boolean') {
+      return Result.failure('Saved game is missing the first-move flag');
+    }
+    if (!Array.isArray(data.mines) || (!data.isFirstMove && data.mines.length === 0) ||
+        data.mines.length >= totalCells) {
+      return Result.failure('Saved game has an invalid mine layout');
+    }
+    const mineKeys = new Set();
+    for (const mine of data.mines) {
+      if (!TypeGuards.isValidPosition(mine) || mine.x >= config.rows || mine.y >= config.cols) {
+        return Result.failure('Saved mine layout contains a position outside the board');
+      }
+      mineKeys.add(`${mine.x},${mine.y}`);
+    }
+    if (mineKeys.size !== data.mines.length) {
+      return Result.failure('Saved mine layout contains duplicate positions');
+    }
+
+    const gameState = data.gameState;
+    if (!TypeGuards.isObject(gameState) ||
+        !COUNTER_FIELDS.every(field => Number.isInteger(gameState[field]) && gameState[field] >= 0)) {
+      return Result.failure('Saved game has invalid counters');
+    }
+    if (!TypeGuards.isNumber(data.elapsed) || data.elapsed < 0) {
+      return Result.failure('Saved game has an invalid elapsed time');
+    }
+
+    return Result.success(new GameSave(data));
+  }
+}
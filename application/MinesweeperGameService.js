@@ -10,8 +10,20 @@ import {
   GameLostEvent, 
   CellRevealedEvent, 
   CellFlaggedEvent,
-  FirstMoveEvent
+  FirstMoveEvent,
+  MoveUndoneEvent,
+  MoveRedoneEvent,
+  PlayerActionEvent,
+  GamePausedEvent,
+  GameResumedEvent,
+  BoardStateChangedEvent
 } from '../common/EventBus.js';
+import { GameHistory, MoveCommand } from './GameHistory.js';
+import { PlayerBoardView } from './PlayerBoardView.js';
+
+// Set up by the class below; see exportGameState and exportMineLayout
+let readSaveState;
+let readMineLayout;
 
 export class MinesweeperGameService {
   #board;
@@ -24,30 +36,65 @@ export class MinesweeperGameService {
   #isFirstMove;
   #initialMineCount;          // 追加: 初期の地雷数を記録
   #onFirstMoveInitialization; // 追加: 初回クリック時の地雷配置コールバック
-
-  constructor(board, gameRules, cellInteractionService, eventBus, gameOverService, initialMineCount = 0) {
+  #questionMarksEnabled;
+  #seed;
+  #history;
+  #practiceMode;
+  #boardAnalysisService;
+  #timer;
+  #isPaused = false;
+  #playerView;
+  #debug;
+  #finalCellStates = null;
+
+  constructor(board, gameRules, cellInteractionService, eventBus, gameOverService, initialMineCount = 0, options = {}) {
     this.#board = board;
     this.#gameRules = gameRules;
     this.#cellInteractionService = cellInteractionService;
     this.#eventBus = eventBus;
     this.#gameOverService = gameOverService;
     this.#initialMineCount = initialMineCount; 
+    this.#seed = options.seed ?? null;
+    if (!options.timer) {
+      throw new TypeError('A game timer is required');
+    }
+    // The only clock for the game: started by the first reveal, stopped when the game ends
+    this.#timer = options.timer;
     this.#gameState = this.#createInitialGameState();
     this.#isGameActive = false;
     this.#isFirstMove = true;
+    this.#questionMarksEnabled = Boolean(options.questionMarksEnabled);
+    this.#practiceMode = Boolean(options.practiceMode);
+    this.#boardAnalysisService = options.boardAnalysisService ?? null;
+    this.#history = new GameHistory();
+    this.#playerView = new PlayerBoardView(board, () => this.#gameState.isCompleted);
+    this.#debug = Boolean(options.debug);
   }
 
   // 追加: 初回クリック時の初期化イベントを登録する
+  // The callback places the mines and returns a Result with the generation report
   setFirstMoveInitialization(callback) {
     this.#onFirstMoveInitialization = callback;
   }
 
+  setQuestionMarksEnabled(enabled) {
+    this.#questionMarksEnabled = Boolean(enabled);
+  }
+
+  get questionMarksEnabled() {
+    return this.#questionMarksEnabled;
+  }
+
   startNewGame() {
     this.#gameState = this.#createInitialGameState();
     this.#isGameActive = true;
     this.#isFirstMove = true;
+    this.#isPaused = false;
+    this.#finalCellStates = null;
+    this.#timer.reset();
     
     this.#gameOverService.clearWrongFlags();
+    this.#history.clear();
     
     const event = new GameStartedEvent();
     this.#eventBus.publish(event);
@@ -63,20 +110,41 @@ export class MinesweeperGameService {
       return Result.failure('Game is not active');
     }
 
+    if (this.#isPaused) {
+      return Result.failure('Game is paused');
+    }
+
     if (!TypeGuards.isValidPosition(position)) {
       return Result.failure('Invalid position provided');
     }
 
+    this.#countClick('left');
+    this.#publishPlayerAction('reveal', position);
+    return this.#recordMove('reveal', position, () => this.#performReveal(position));
+  }
+
+  #performReveal(position) {
     if (this.#isFirstMove) {
-      this.#isFirstMove = false;
-      
       // === 核心変更: プレイヤーの最初の一撃で、実際の地雷配置を実行する ===
       if (this.#onFirstMoveInitialization) {
-        this.#onFirstMoveInitialization(position);
+        // The callback reports how the layout was generated (e.g. no-guess fallback reason)
+        const initializationResult = this.#onFirstMoveInitialization(position);
+        if (initializationResult.isFailure) {
+          return initializationResult;
+        }
+        this.#gameState = Object.freeze({
+          ...this.#gameState,
+          generation: initializationResult.value ?? null,
+          firstClick: { x: position.x, y: position.y }
+        });
       }
+      this.#isFirstMove = false;
+      // Started once the mines are placed, so a slow no-guess search is not played time
+      this.#timer.start();
 
       const firstMoveEvent = new FirstMoveEvent({
         position,
+        generation: this.#gameState.generation,
         timestamp: new Date()
       });
       this.#eventBus.publish(firstMoveEvent);
@@ -88,25 +156,47 @@ export class MinesweeperGameService {
     }
 
     const revealData = revealResult.value;
-    this.#updateGameStateAfterReveal(revealData);
+    this.#publishRevealData(revealData);
 
-    const mainCellEvent = new CellRevealedEvent({
-      position,
-      cell: revealData.cell,
-      type: revealData.type
+    const gameEndResult = this.#checkGameEndConditions();
+    if (gameEndResult.isSuccess && gameEndResult.value.gameEnded) {
+      this.#endGame(gameEndResult.value.result);
+    }
+
+    return Result.success({
+      revealData: this.#maskCells(revealData),
+      gameState: { ...this.#gameState },
+      gameActive: this.#isGameActive
     });
-    this.#eventBus.publish(mainCellEvent);
+  }
 
-    if (revealData.type === 'cascade_reveal' && revealData.revealedNeighbors) {
-      for (const neighborData of revealData.revealedNeighbors) {
-        this.#updateGameStateAfterReveal(neighborData);
-        const neighborEvent = new CellRevealedEvent({
-          position: neighborData.position,
-          cell: neighborData.cell,
-          type: neighborData.type
-        });
-        this.#eventBus.publish(neighborEvent);
-      }
+  chordCell(position) {
+    if (!this.#isGameActive) {
+      return Result.failure('Game is not active');
+    }
+
+    if (this.#isPaused) {
+      return Result.failure('Game is paused');
+    }
+
+    if (!TypeGuards.isValidPosition(position)) {
+      return Result.failure('Invalid position provided');
+    }
+
+    this.#countClick('chord');
+    this.#publishPlayerAction('chord', position);
+    return this.#recordMove('chord', position, () => this.#performChord(position));
+  }
+
+  #performChord(position) {
+    const chordResult = this.#cellInteractionService.chordCell(this.#board, position);
+    if (chordResult.isFailure) {
+      return chordResult;
+    }
+
+    const chordData = chordResult.value;
+    for (const revealData of chordData.revealedCells) {
+      this.#publishRevealData(revealData);
     }
 
     const gameEndResult = this.#checkGameEndConditions();
@@ -115,7 +205,7 @@ export class MinesweeperGameService {
     }
 
     return Result.success({
-      revealData,
+      chordData: this.#maskCells(chordData),
       gameState: { ...this.#gameState },
       gameActive: this.#isGameActive
     });
@@ -126,11 +216,21 @@ export class MinesweeperGameService {
       return Result.failure('Game is not active');
     }
 
+    if (this.#isPaused) {
+      return Result.failure('Game is paused');
+    }
+
     if (!TypeGuards.isValidPosition(position)) {
       return Result.failure('Invalid position provided');
     }
 
-    const flagResult = this.#cellInteractionService.toggleCellFlag(this.#board, position);
+    this.#countClick('right');
+    this.#publishPlayerAction('flag', position);
+    return this.#recordMove('flag', position, () => this.#performFlagToggle(position));
+  }
+
+  #performFlagToggle(position) {
+    const flagResult = this.#cellInteractionService.toggleCellFlag(this.#board, position, this.#questionMarksEnabled);
     if (flagResult.isFailure) {
       return flagResult;
     }
@@ -140,7 +240,7 @@ export class MinesweeperGameService {
 
     const cellEvent = new CellFlaggedEvent({
       position,
-      cell: flagData.cell,
+      cell: this.#playerCell(position),
       action: flagData.action
     });
     this.#eventBus.publish(cellEvent);
@@ -151,20 +251,115 @@ export class MinesweeperGameService {
     }
 
     return Result.success({
-      flagData,
+      flagData: this.#maskCells(flagData),
       gameState: { ...this.#gameState },
       gameActive: this.#isGameActive
     });
   }
 
+  get canUndo() {
+    return this.#history.canUndo && this.#isUndoAllowed();
+  }
+
+  get canRedo() {
+    return this.#history.canRedo;
+  }
+
+  undo() {
+    if (this.#isPaused) {
+      return Result.failure('Game is paused');
+    }
+    if (!this.#history.canUndo) {
+      return Result.failure('Nothing to undo');
+    }
+    if (!this.#isUndoAllowed()) {
+      return Result.failure('Finished games can only be undone after a loss in practice mode');
+    }
+
+    this.#publishPlayerAction('undo', null);
+    return this.#history.undo(this.#board).map(command => {
+      this.#restoreSnapshot(command.before);
+      this.#eventBus.publish(new MoveUndoneEvent(this.#createMoveEventData(command)));
+      this.#publishBoardStateChanged('undo', command.position, command.affectedPositions);
+      return { type: command.type, position: command.position, gameState: { ...this.#gameState } };
+    });
+  }
+
+  redo() {
+    if (this.#isPaused) {
+      return Result.failure('Game is paused');
+    }
+    if (!this.#history.canRedo) {
+      return Result.failure('Nothing to redo');
+    }
+
+    this.#publishPlayerAction('redo', null);
+    return this.#history.redo(this.#board).map(command => {
+      this.#restoreSnapshot(command.after);
+      this.#eventBus.publish(new MoveRedoneEvent(this.#createMoveEventData(command)));
+      this.#publishBoardStateChanged('redo', command.position, command.affectedPositions);
+      return { type: command.type, position: command.position, gameState: { ...this.#gameState } };
+    });
+  }
+
+  get isPaused() {
+    return this.#isPaused;
+  }
+
+  // Milliseconds of play so far; paused time is not counted
+  get elapsed() {
+    return this.#timer.elapsed;
+  }
+
+  // Listener gets the elapsed whole seconds; returns an unsubscribe function
+  onTimerTick(listener) {
+    return this.#timer.onTick(listener);
+  }
+
+  // Only a running clock can be paused, so there is nothing to pause before the first reveal
+  pause() {
+    if (!this.#isGameActive || !this.#timer.isRunning) {
+      return Result.failure('Only a game in progress can be paused');
+    }
+
+    this.#isPaused = true;
+    this.#timer.stop();
+    this.#eventBus.publish(new GamePausedEvent({ elapsed: this.#timer.elapsed }));
+    return Result.success({ elapsed: this.#timer.elapsed });
+  }
+
+  resume() {
+    if (!this.#isPaused) {
+      return Result.failure('Game is not paused');
+    }
+
+    this.#isPaused = false;
+    this.#timer.resume();
+    this.#eventBus.publish(new GameResumedEvent({ elapsed: this.#timer.elapsed }));
+    return Result.success({ elapsed: this.#timer.elapsed });
+  }
+
+  // Stops the clock of a game that is being replaced
+  destroy() {
+    this.#isGameActive = false;
+    this.#timer.stop();
+  }
+
   getGameState() {
     return Result.success({
       ...this.#gameState,
+      elapsed: this.#timer.elapsed,
+      isPaused: this.#isPaused,
       isActive: this.#isGameActive
     });
   }
 
+  // Full layout including hidden mines; only available to services created with the debug option
   getBoardState() {
+    if (!this.#debug) {
+      return Result.failure('Full board state requires the debug capability');
+    }
+
     return Result.success({
       bounds: this.#board.bounds,
       cells: this.#board.getAllCells().map(cell => ({
@@ -177,16 +372,244 @@ export class MinesweeperGameService {
     });
   }
 
-  getBoard() {
-    return this.#board;
+  // What the player can see: hidden mines and numbers stay masked until the game is over
+  getPlayerView() {
+    return Result.success(this.#playerView);
+  }
+
+  // Mines and cell states for board and replay exports; a game in progress keeps them
+  // to itself unless the service was created with the debug option
+  getMineLayout() {
+    if (!this.#debug && !this.#gameState.isCompleted) {
+      return Result.failure('The mine layout is only available once the game is over');
+    }
+
+    return Result.success(this.#mineLayout());
+  }
+
+  static {
+    readSaveState = (service) => service.#exportState();
+    readMineLayout = (service) => service.#mineLayout();
+  }
+
+  // A finished game reports its cells as the player left them, before the end disabled them
+  #mineLayout() {
+    return {
+      bounds: this.#board.bounds,
+      mines: this.#board.getMineCells().map(cell => ({ x: cell.position.x, y: cell.position.y })),
+      cellStates: this.#isGameActive || !this.#finalCellStates
+        ? this.#board.getAllCells().map(cell => cell.state)
+        : [...this.#finalCellStates]
+    };
+  }
+
+  // Everything needed to continue an unfinished game later (see GameSave)
+  #exportState() {
+    if (!this.#isGameActive) {
+      return Result.failure('Only a game in progress can be saved');
+    }
+
+    return Result.success({
+      isFirstMove: this.#isFirstMove,
+      gameState: { ...this.#gameState },
+      elapsed: this.#timer.elapsed,
+      mines: this.#board.getMineCells().map(cell => ({ x: cell.position.x, y: cell.position.y })),
+      cellStates: this.#board.getAllCells().map(cell => cell.state)
+    });
+  }
+
+  // Continues a saved game on this fresh service. The mine layout must already be
+  // part of the service configuration; every saved counter is checked against the board.
+  restoreState({ isFirstMove, gameState, cellStates, elapsed = 0 }) {
+    const { CELL_STATES } = GAME_CONSTANTS;
+    const cells = this.#board.getAllCells();
+
+    if (!Array.isArray(cellStates) || cellStates.length !== cells.length) {
+      return Result.failure(`Saved game must have ${cells.length} cell states`);
+    }
+    if (!TypeGuards.isObject(gameState)) {
+      return Result.failure('Saved game has no game state');
+    }
+
+    this.#gameState = this.#createInitialGameState();
+    this.#isFirstMove = true;
+    this.#isPaused = false;
+    this.#finalCellStates = null;
+    this.#timer.reset();
+    this.#gameOverService.clearWrongFlags();
+    this.#history.clear();
+
+    if (!isFirstMove) {
+      if (!TypeGuards.isValidPosition(gameState.firstClick)) {
+        return Result.failure('Saved game is missing its first click');
+      }
+      const initializationResult = this.#onFirstMoveInitialization?.(gameState.firstClick) ?? Result.success(null);
+      if (initializationResult.isFailure) {
+        return Result.failure(`Saved mine layout cannot be placed: ${initializationResult.error}`);
+      }
+      this.#isFirstMove = false;
+    }
+
+    for (const [index, cell] of cells.entries()) {
+      const state = cellStates[index];
+      if (state === CELL_STATES.DISABLED || state === CELL_STATES.EXPLODED) {
+        return Result.failure('Saved game has already ended');
+      }
+      if (state === CELL_STATES.REVEALED && (isFirstMove || cell.containsMine)) {
+        return Result.failure(`Saved game reveals cell ${cell.position.x},${cell.position.y} illegally`);
+      }
+
+      const restoreResult = cell.restoreState(state);
+      if (restoreResult.isFailure) {
+        return restoreResult;
+      }
+    }
+
+    const mineCount = this.#board.mineCount || this.#initialMineCount;
+    const flaggedCellsCount = this.#board.flaggedCount;
+    const revealedCellsCount = this.#board.revealedCount;
+    if (gameState.mineCount !== mineCount ||
+        gameState.flaggedCellsCount !== flaggedCellsCount ||
+        gameState.revealedCellsCount !== revealedCellsCount) {
+      return Result.failure('Saved counters do not match the saved board');
+    }
+    if (this.#gameRules.isGameWon(this.#board)) {
+      return Result.failure('Saved game has already ended');
+    }
+
+    this.#gameState = Object.freeze({
+      ...this.#gameState,
+      flaggedCellsCount,
+      revealedCellsCount,
+      remainingMines: mineCount - flaggedCellsCount,
+      clicks: isClickCount(gameState.clicks) ? { ...gameState.clicks } : this.#gameState.clicks,
+      generation: gameState.generation ?? null,
+      firstClick: isFirstMove ? null : { ...gameState.firstClick },
+      usedUndo: Boolean(gameState.usedUndo)
+    });
+    this.#isGameActive = true;
+    if (!isFirstMove) {
+      this.#timer.restore(elapsed);
+    }
+
+    return Result.success({
+      message: 'Game restored',
+      gameState: { ...this.#gameState }
+    });
+  }
+
+  // Every input counts, including ones that change nothing or are undone later
+  #countClick(kind) {
+    this.#gameState = Object.freeze({
+      ...this.#gameState,
+      clicks: Object.freeze({ ...this.#gameState.clicks, [kind]: this.#gameState.clicks[kind] + 1 })
+    });
+  }
+
+  // Raw player input, published before it is applied (used for replays)
+  #publishPlayerAction(action, position) {
+    this.#eventBus.publish(new PlayerActionEvent({ action, position, elapsed: this.#timer.elapsed }));
+  }
+
+  // Runs a player action and records every cell state change it causes as one undoable command
+  #recordMove(type, position, action) {
+    const before = this.#captureSnapshot();
+    const cellChanges = [];
+    const changedPositions = new Map();
+    const stopRecording = this.#board.onCellStateChanged((cell, previousState) => {
+      cellChanges.push({ position: cell.position, from: previousState, to: cell.state });
+      changedPositions.set(cell.id, cell.position);
+    });
+
+    let result;
+    try {
+      result = action();
+    } finally {
+      stopRecording();
+    }
+
+    if (result.isSuccess && cellChanges.length > 0) {
+      this.#history.record(new MoveCommand({
+        type,
+        position,
+        cellChanges,
+        before,
+        after: this.#captureSnapshot()
+      }));
+    }
+    // Published after the move is recorded, so listeners already see it in the history
+    if (changedPositions.size > 0) {
+      this.#publishBoardStateChanged(type, position, Array.from(changedPositions.values()));
+    }
+
+    return result;
+  }
+
+  // One event per player action with every cell it changed, for listeners that redraw in batches
+  #publishBoardStateChanged(action, position, positions) {
+    this.#eventBus.publish(new BoardStateChangedEvent({
+      action,
+      position,
+      positions,
+      gameState: { ...this.#gameState },
+      isActive: this.#isGameActive
+    }));
+  }
+
+  #captureSnapshot() {
+    return Object.freeze({
+      gameState: this.#gameState,
+      isGameActive: this.#isGameActive,
+      finalCellStates: this.#finalCellStates,
+      wrongFlags: this.#gameOverService.getWrongFlaggedCells()
+    });
+  }
+
+  #restoreSnapshot(snapshot) {
+    // Any game that went through undo/redo is excluded from records. The mines stay
+    // where the first click put them, so undoing that click keeps its layout details.
+    this.#gameState = Object.freeze({
+      ...snapshot.gameState,
+      clicks: this.#gameState.clicks,
+      firstClick: this.#gameState.firstClick,
+      generation: this.#gameState.generation,
+      usedUndo: true
+    });
+    this.#isGameActive = snapshot.isGameActive;
+    this.#finalCellStates = snapshot.finalCellStates;
+    this.#gameOverService.restoreWrongFlags(snapshot.wrongFlags);
+
+    // Undoing a practice loss continues the clock; redoing it stops the clock again
+    if (this.#isGameActive && !this.#isFirstMove) {
+      this.#timer.resume();
+    } else {
+      this.#timer.stop();
+    }
+  }
+
+  #isUndoAllowed() {
+    if (this.#isGameActive) {
+      return true;
+    }
+    return this.#practiceMode && this.#gameState.result === GAME_CONSTANTS.GAME_RESULTS.LOST;
+  }
+
+  #createMoveEventData(command) {
+    return {
+      type: command.type,
+      position: command.position,
+      positions: command.affectedPositions,
+      gameState: { ...this.#gameState },
+      isActive: this.#isGameActive
+    };
   }
 
   #createInitialGameState() {
     const totalCells = this.#board.bounds.rows * this.#board.bounds.cols;
-    const mineCells = this.#board.getMineCells();
+    const mineCount = this.#board.mineCount;
     
     // 変更: まだ地雷が配置されていない場合、初期設定値を使用してUIを正しく表示する
-    const currentMineCount = mineCells.length > 0 ? mineCells.length : this.#initialMineCount;
+    const currentMineCount = mineCount > 0 ? mineCount : this.#initialMineCount;
     
     return Object.freeze({
       flaggedCellsCount: 0,
@@ -194,30 +617,53 @@ export class MinesweeperGameService {
       remainingMines: currentMineCount,
       totalCells,
       mineCount: currentMineCount,
+      clicks: Object.freeze({ left: 0, right: 0, chord: 0 }),
+      seed: this.#seed,
+      generation: null,
+      firstClick: null,
+      usedUndo: false,
       result: GAME_CONSTANTS.GAME_RESULTS.NONE,
-      startTime: new Date(),
-      endTime: null,
       isCompleted: false
     });
   }
 
+  #publishRevealData(revealData) {
+    this.#updateGameStateAfterReveal(revealData);
+
+    const cellEvent = new CellRevealedEvent({
+      position: revealData.position,
+      cell: this.#playerCell(revealData.position),
+      type: revealData.type
+    });
+    this.#eventBus.publish(cellEvent);
+
+    if (revealData.type === 'cascade_reveal' && revealData.revealedNeighbors) {
+      for (const neighborData of revealData.revealedNeighbors) {
+        this.#updateGameStateAfterReveal(neighborData);
+        const neighborEvent = new CellRevealedEvent({
+          position: neighborData.position,
+          cell: this.#playerCell(neighborData.position),
+          type: neighborData.type
+        });
+        this.#eventBus.publish(neighborEvent);
+      }
+    }
+  }
+
   #updateGameStateAfterReveal(revealData) {
-    const revealedCells = this.#board.getRevealedCells();
-    
     this.#gameState = Object.freeze({
       ...this.#gameState,
-      revealedCellsCount: revealedCells.length
+      revealedCellsCount: this.#board.revealedCount
     });
   }
 
   #updateGameStateAfterFlag(flagData) {
-    const flaggedCells = this.#board.getFlaggedCells();
-    const mineCells = this.#board.getMineCells();
-    
+    const flaggedCellsCount = this.#board.flaggedCount;
+
     this.#gameState = Object.freeze({
       ...this.#gameState,
-      flaggedCellsCount: flaggedCells.length,
-      remainingMines: mineCells.length - flaggedCells.length
+      flaggedCellsCount,
+      remainingMines: this.#board.mineCount - flaggedCellsCount
     });
   }
 
@@ -244,25 +690,55 @@ export class MinesweeperGameService {
 
   #endGame(result) {
     this.#isGameActive = false;
+    this.#finalCellStates = this.#board.getAllCells().map(cell => cell.state);
     this.#finalizeGameState(result);
-    
+    // Measured before the loss reveals the mines and every cell is disabled
+    const analysis = this.#analyzeBoard();
+
     if (result === GAME_CONSTANTS.GAME_RESULTS.LOST) {
       this.#handleGameLoss();
     }
     
     this.#disableAllCells();
-    this.#publishGameEndEvent(result);
+    this.#publishGameEndEvent(result, analysis);
+  }
+
+  // Event payloads carry the masked cell so listeners cannot peek under a flag
+  #playerCell(position) {
+    return this.#playerView.getCellAt(position).value;
+  }
+
+  // Action results carry masked cells too, with the cells of a cascade or chord
+  #maskCells(data) {
+    const masked = { ...data, cell: this.#playerCell(data.position) };
+    if (data.revealedNeighbors) {
+      masked.revealedNeighbors = data.revealedNeighbors.map(neighborData => this.#maskCells(neighborData));
+    }
+    if (data.revealedCells) {
+      masked.revealedCells = data.revealedCells.map(revealData => this.#maskCells(revealData));
+    }
+    return masked;
+  }
+
+  #analyzeBoard() {
+    if (!this.#boardAnalysisService) {
+      return null;
+    }
+
+    const analysisResult = this.#boardAnalysisService.analyze(this.#board)
+      .flatMap(analysis => this.#boardAnalysisService
+        .calculateMetrics(analysis, this.#gameState.clicks, this.#gameState.duration)
+        .map(metrics => ({ ...analysis, ...metrics })));
+    return analysisResult.isSuccess ? analysisResult.value : null;
   }
 
   #finalizeGameState(result) {
-    const endTime = new Date();
-    const duration = endTime - this.#gameState.startTime;
+    this.#timer.stop();
     
     this.#gameState = Object.freeze({
       ...this.#gameState,
       result,
-      endTime,
-      duration,
+      duration: this.#timer.elapsed,
       isCompleted: true
     });
   }
@@ -278,7 +754,7 @@ export class MinesweeperGameService {
       for (const mineData of revealMinesResult.value) {
         const cellEvent = new CellRevealedEvent({
           position: mineData.position,
-          cell: mineData.cell,
+          cell: this.#playerCell(mineData.position),
           type: 'mine_reveal'
         });
         this.#eventBus.publish(cellEvent);
@@ -294,7 +770,7 @@ export class MinesweeperGameService {
         
         const cellEvent = new CellRevealedEvent({
           position: wrongFlagData.position,
-          cell: wrongFlagData.cell,
+          cell: this.#playerCell(wrongFlagData.position),
           type: 'wrong_flag'
         });
         this.#eventBus.publish(cellEvent);
@@ -306,14 +782,39 @@ export class MinesweeperGameService {
     this.#cellInteractionService.disableAllCells(this.#board);
   }
 
-  #publishGameEndEvent(result) {
+  #publishGameEndEvent(result, analysis) {
     const GameEndEvent = result === GAME_CONSTANTS.GAME_RESULTS.WON ? GameWonEvent : GameLostEvent;
     const event = new GameEndEvent({
       duration: this.#gameState.duration,
       flaggedCellsCount: this.#gameState.flaggedCellsCount,
       revealedCellsCount: this.#gameState.revealedCellsCount,
+      seed: this.#gameState.seed,
+      usedUndo: this.#gameState.usedUndo,
+      clicks: { ...this.#gameState.clicks },
+      analysis,
       result
     });
     this.#eventBus.publish(event);
   }
 }
+
+function isClickCount(clicks) {
+  return TypeGuards.isObject(clicks) &&
+         ['left', 'right', 'chord'].every(kind => Number.isInteger(clicks[kind]) && clicks[kind] >= 0);
+}
+
+// Saves include the mines of a game still in play, so they are read through this
+// function for GameSave instead of a method that every holder of the service could call
+export function exportGameState(gameService) {
+  return readSaveState(gameService);
+}
+
+// Board and replay exports of the application, at any point of the game; like
+// exportGameState this is not a method, so holders of the service cannot use it
+export function exportMineLayout(gameService) {
+  const layout = readMineLayout(gameService);
+  if (layout.mines.length === 0) {
+    return Result.failure('Nothing to export until the first cell is revealed');
+  }
+  return Result.success(layout);
+}
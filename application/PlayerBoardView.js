@@ -0,0 +1,135 @@
+"use strict";
+
+/**
+ * A cell as the player sees it. Mines and numbers of covered cells read as
+ * null until the game is over; everything else mirrors the underlying cell.
+ */
+export class PlayerCellView {
+  #cell;
+  #isGameOver;
+
+  constructor(cell, isGameOver) {
+    this.#cell = cell;
+    this.#isGameOver = isGameOver;
+  }
+
+  get id() {
+    return this.#cell.id;
+  }
+
+  get position() {
+    return this.#cell.position;
+  }
+
+  get state() {
+    return this.#cell.state;
+  }
+
+  get isHidden() {
+    return this.#cell.isHidden;
+  }
+
+  get isRevealed() {
+    return this.#cell.isRevealed;
+  }
+
+  get isFlagged() {
+    return this.#cell.isFlagged;
+  }
+
+  get isQuestioned() {
+    return this.#cell.isQuestioned;
+  }
+
+  get isDisabled() {
+    return this.#cell.isDisabled;
+  }
+
+  get isExploded() {
+    return this.#cell.isExploded;
+  }
+
+  get containsMine() {
+    return this.#isVisible() ? this.#cell.containsMine : null;
+  }
+
+  get neighborMineCount() {
+    return this.#isVisible() ? this.#cell.neighborMineCount : null;
+  }
+
+  get hasMinedNeighbors() {
+    return this.#isVisible() && this.#cell.hasMinedNeighbors;
+  }
+
+  #isVisible() {
+    return this.#cell.isRevealed || this.#cell.isExploded || this.#isGameOver();
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      position: this.position,
+      state: this.state,
+      containsMine: this.containsMine,
+      neighborMineCount: this.neighborMineCount
+    };
+  }
+
+  toString() {
+    return `PlayerCellView(${this.id}, state: ${this.state})`;
+  }
+}
+
+/**
+ * Read-only, live view of a board that shows only what the player can see.
+ * Renderers, solvers and bots work on this instead of the Board itself, so
+ * they cannot read mine positions while a game is being played.
+ */
+export class PlayerBoardView {
+  #board;
+  #isGameOver;
+  #cellViews = new WeakMap();
+
+  constructor(board, isGameOver) {
+    this.#board = board;
+    this.#isGameOver = isGameOver;
+  }
+
+  get bounds() {
+    return this.#board.bounds;
+  }
+
+  get topology() {
+    return this.#board.topology;
+  }
+
+  get isGameOver() {
+    return this.#isGameOver();
+  }
+
+  getCellAt(position) {
+    return this.#board.getCellAt(position).map(cell => this.#viewOf(cell));
+  }
+
+  getAllCells() {
+    return this.#board.getAllCells().map(cell => this.#viewOf(cell));
+  }
+
+  toJSON() {
+    return {
+      bounds: this.bounds,
+      topology: this.topology,
+      isGameOver: this.isGameOver,
+      cells: this.getAllCells().map(cell => cell.toJSON())
+    };
+  }
+
+  #viewOf(cell) {
+    let view = this.#cellViews.get(cell);
+    if (!view) {
+      view = new PlayerCellView(cell, this.#isGameOver);
+      this.#cellViews.set(cell, view);
+    }
+    return view;
+  }
+}
@@ -0,0 +1,205 @@
+"use strict";
+
+import { Result } from '../common/Result.js';
+import { TypeGuards } from '../common/TypeGuards.js';
+
+export const REPLAY_SPEED_LIMITS = Object.freeze({
+  MIN: 0.5,
+  MAX: 8
+});
+
+/**
+ * Plays a GameReplay back on a fresh game service. The service publishes the
+ * usual events, so any renderer subscribed to the EventBus redraws the game.
+ * Stepping back rebuilds the game from scratch and re-applies the earlier inputs.
+ */
+export class ReplayPlayer {
+  #replay;
+  #createGameService;
+  #onReset;
+  #onProgress;
+  #gameService = null;
+  #position = 0;
+  #speed = 1;
+  #timeoutId = null;
+
+  // `onReset(gameService)` fires whenever a fresh service replaces the previous one
+  constructor(replay, createGameService, { onReset = null, onProgress = null } = {}) {
+    if (!TypeGuards.isFunction(createGameService)) {
+      throw new TypeError('Game service factory must be a function');
+    }
+
+    this.#replay = replay;
+    this.#createGameService = createGameService;
+    this.#onReset = onReset;
+    this.#onProgress = onProgress;
+  }
+
+  get replay() {
+    return this.#replay;
+  }
+
+  get gameService() {
+    return this.#gameService;
+  }
+
+  get position() {
+    return this.#position;
+  }
+
+  get length() {
+    return this.#replay.actions.length;
+  }
+
+  get speed() {
+    return this.#speed;
+  }
+
+  get isPlaying() {
+    return this.#timeoutId !== null;
+  }
+
+  get isFinished() {
+    return this.#position >= this.length;
+  }
+
+  // Time offset of the last applied input
+  get elapsed() {
+    return this.#position > 0 ? this.#replay.actions[this.#position - 1].time : 0;
+  }
+
+  load() {
+    this.pause();
+    try {
+      this.#gameService = this.#createGameService(this.#replay.toConfig());
+    } catch (error) {
+      return Result.failure(`Replay cannot be rebuilt: ${error.message}`);
+    }
+
+    const startResult = this.#gameService.startNewGame();
+    if (startResult.isFailure) {
+      return startResult;
+    }
+
+    this.#position = 0;
+    this.#onReset?.(this.#gameService);
+    this.#notifyProgress();
+    return Result.success(this.#gameService);
+  }
+
+  play() {
+    if (this.isPlaying || this.isFinished) {
+      return Result.failure(this.isFinished ? 'Replay has finished' : 'Replay is already playing');
+    }
+
+    this.#scheduleNext();
+    this.#notifyProgress();
+    return Result.success('Playing');
+  }
+
+  pause() {
+    if (this.#timeoutId !== null) {
+      clearTimeout(this.#timeoutId);
+      this.#timeoutId = null;
+      this.#notifyProgress();
+    }
+    return Result.success('Paused');
+  }
+
+  setSpeed(speed) {
+    if (!TypeGuards.isNumber(speed) || speed < REPLAY_SPEED_LIMITS.MIN || speed > REPLAY_SPEED_LIMITS.MAX) {
+      return Result.failure(`Speed must be between ${REPLAY_SPEED_LIMITS.MIN}x and ${REPLAY_SPEED_LIMITS.MAX}x`);
+    }
+
+    this.#speed = speed;
+    if (this.isPlaying) {
+      clearTimeout(this.#timeoutId);
+      this.#scheduleNext();
+    }
+    return Result.success(speed);
+  }
+
+  stepForward() {
+    this.pause();
+    if (this.isFinished) {
+      return Result.failure('Replay has finished');
+    }
+    return this.#applyNext();
+  }
+
+  stepBack() {
+    this.pause();
+    if (this.#position === 0) {
+      return Result.failure('Replay is at the beginning');
+    }
+    return this.seek(this.#position - 1);
+  }
+
+  seek(target) {
+    if (!Number.isInteger(target) || target < 0 || target > this.length) {
+      return Result.failure(`Replay position must be between 0 and ${this.length}`);
+    }
+
+    const loadResult = this.load();
+    if (loadResult.isFailure) {
+      return loadResult;
+    }
+
+    while (this.#position < target) {
+      this.#applyNext();
+    }
+    return Result.success(this.#position);
+  }
+
+  #scheduleNext() {
+    if (this.isFinished) {
+      this.#timeoutId = null;
+      this.#notifyProgress();
+      return;
+    }
+
+    const delay = (this.#replay.actions[this.#position].time - this.elapsed) / this.#speed;
+    this.#timeoutId = setTimeout(() => {
+      this.#applyNext();
+      this.#scheduleNext();
+    }, delay);
+  }
+
+  // Inputs that were rejected during the original game are rejected again here,
+  // so failures are expected and do not stop playback
+  #applyNext() {
+    const { action, position } = this.#replay.actions[this.#position];
+    this.#position++;
+
+    switch (action) {
+      case 'reveal':
+        this.#gameService.revealCell(position);
+        break;
+      case 'flag':
+        this.#gameService.toggleCellFlag(position);
+        break;
+      case 'chord':
+        this.#gameService.chordCell(position);
+        break;
+      case 'undo':
+        this.#gameService.undo();
+        break;
+      case 'redo':
+        this.#gameService.redo();
+        break;
+    }
+
+    this.#notifyProgress();
+    return Result.success(this.#position);
+  }
+
+  #notifyProgress() {
+    this.#onProgress?.({
+      position: this.#position,
+      length: this.length,
+      elapsed: this.elapsed,
+      isPlaying: this.isPlaying,
+      speed: this.#speed
+    });
+  }
+}
@@ -0,0 +1,157 @@
+"use strict";
+
+import { parseArgs } from 'node:util';
+import { writeFileSync } from 'node:fs';
+import { Config } from './domain/value-objects/GameConfiguration.js';
+import { GAME_CONFIG } from './common/GameSettings.js';
+import { SeededRandom } from './common/SeededRandom.js';
+import { Result } from './common/Result.js';
+import { createContainer, registerProductionServices } from './infrastructure/ServiceRegistration.js';
+import { BotHarness } from './application/BotHarness.js';
+import { BOT_STRATEGIES } from './application/BotStrategies.js';
+
+const LEVELS = ['beginner', 'intermediate', 'expert'];
+
+const USAGE = `Usage: node bots.js [options]
+
+Options:
+  -b, --strategy <name>  ${Object.keys(BOT_STRATEGIES).join(' or ')} (default: solver)
+  -g, --games <n>        games to play (default: 100)
+  -l, --level <name>     beginner, intermediate or expert (default: beginner)
+  -r, --rows <n>         rows of a custom board
+  -c, --cols <n>         columns of a custom board
+  -m, --mines <n>        mines on a custom board (default: ${GAME_CONFIG.minesPercentage}% of the cells)
+      --no-guess         deal only layouts that can be solved without guessing
+  -s, --seed <seed>      seed of the run, for reproducible results
+  -o, --out <file>       where to write the JSON report (default: bot-results.json)
+  -h, --help             show this help`;
+
+const parseOptions = (args) => {
+  try {
+    const { values } = parseArgs({
+      args,
+      options: {
+        strategy: { type: 'string', short: 'b', default: 'solver' },
+        games: { type: 'string', short: 'g', default: '100' },
+        level: { type: 'string', short: 'l', default: 'beginner' },
+        rows: { type: 'string', short: 'r' },
+        cols: { type: 'string', short: 'c' },
+        mines: { type: 'string', short: 'm' },
+        'no-guess': { type: 'boolean', default: false },
+        seed: { type: 'string', short: 's' },
+        out: { type: 'string', short: 'o', default: 'bot-results.json' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+    return Result.success(values);
+  } catch (error) {
+    return Result.failure(error.message);
+  }
+};
+
+// Custom sizes start from the chosen level; without a mine count the default density applies
+const createConfig = (container, options) => {
+  if (!LEVELS.includes(options.level)) {
+    return Result.failure(`Unknown level '${options.level}', use ${LEVELS.join(', ')}`);
+  }
+
+  const level = GAME_CONFIG[options.level];
+  const isCustomSize = options.rows !== undefined || options.cols !== undefined;
+  const rows = options.rows === undefined ? level.rows : Number(options.rows);
+  const cols = options.cols === undefined ? level.cols : Number(options.cols);
+  let minesNumber = isCustomSize ? null : level.minesNumber;
+  if (options.mines !== undefined) {
+    minesNumber = Number(options.mines);
+  }
+
+  let config;
+  try {
+    config = new Config(rows, cols, GAME_CONFIG.minesPercentage, {
+      minesNumber,
+      noGuess: options['no-guess']
+    });
+  } catch (error) {
+    return Result.failure(error.message);
+  }
+
+  const validation = container.resolve('gameRules').validateGameConfiguration(config);
+  return validation.isValid ? Result.success(config) : Result.failure(validation.errors.join('; '));
+};
+
+const createStrategy = (container, name, seed) => {
+  if (!Object.hasOwn(BOT_STRATEGIES, name)) {
+    return Result.failure(`Unknown strategy '${name}', use ${Object.keys(BOT_STRATEGIES).join(', ')}`);
+  }
+  return Result.success(BOT_STRATEGIES[name]({
+    random: new SeededRandom(seed),
+    solver: container.resolve('solver'),
+    probabilityCalculator: container.resolve('mineProbabilityCalculator')
+  }));
+};
+
+const formatPercent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+
+const main = () => {
+  const optionsResult = parseOptions(process.argv.slice(2));
+  if (optionsResult.isFailure) {
+    console.error(`${optionsResult.error}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const options = optionsResult.value;
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const games = Number(options.games);
+  if (!Number.isInteger(games) || games <= 0) {
+    console.error('--games must be a positive integer');
+    process.exitCode = 1;
+    return;
+  }
+
+  // Each front end picks its logger; thousands of games must not log a line each
+  const container = registerProductionServices(createContainer());
+  const seed = SeededRandom.isValidSeed(options.seed) ? SeededRandom.normalizeSeed(options.seed) : SeededRandom.createSeed();
+  const setupResult = createConfig(container, options).flatMap(config =>
+    createStrategy(container, options.strategy, seed).map(strategy => ({ config, strategy })));
+  if (setupResult.isFailure) {
+    console.error(setupResult.error);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { config, strategy } = setupResult.value;
+  const harness = new BotHarness(container.resolve('gameServiceFactory'), container.resolve('eventBus'));
+  // Progress and the summary go to stderr; the report itself goes to --out
+  const reportEvery = Math.max(1, Math.floor(games / 10));
+  const runResult = harness.run({
+    config,
+    strategy,
+    games,
+    seed,
+    onGameEnd: (_, index) => {
+      if ((index + 1) % reportEvery === 0) {
+        process.stderr.write(`${index + 1}/${games} games played\n`);
+      }
+    }
+  });
+  if (runResult.isFailure) {
+    console.error(runResult.error);
+    process.exitCode = 1;
+    return;
+  }
+
+  const report = runResult.value;
+  writeFileSync(options.out, `${JSON.stringify(report, null, 2)}\n`);
+  process.stderr.write(
+    `${report.strategy} on ${config.rows}x${config.cols} with ${config.minesNumber} mines, seed ${report.seed}\n` +
+    `Won ${report.wins} of ${report.games} (${formatPercent(report.winRate)}), stalled ${report.stalled}\n` +
+    `Average 3BV ${report.averageBbbv?.toFixed(1) ?? '-'}, ${report.averageTimeMs.toFixed(1)} ms per game\n` +
+    `Report written to ${options.out}\n`
+  );
+};
+
+main();
@@ -0,0 +1,304 @@
+"use strict";
+
+import { parseArgs } from 'node:util';
+import readline from 'node:readline';
+import { Config } from './domain/value-objects/GameConfiguration.js';
+import { GAME_CONFIG } from './common/GameSettings.js';
+import { GAME_CONSTANTS } from './common/GameConstants.js';
+import { Result } from './common/Result.js';
+import { createContainer, registerProductionServices } from './infrastructure/ServiceRegistration.js';
+import { TerminalBoardRenderer } from './presentation/TerminalBoardRenderer.js';
+
+const LEVELS = ['beginner', 'intermediate', 'expert'];
+
+const USAGE = `Usage: node cli.js [options]
+
+Options:
+  -l, --level <name>   beginner, intermediate or expert (default: beginner)
+  -r, --rows <n>       rows of a custom board
+  -c, --cols <n>       columns of a custom board
+  -m, --mines <n>      mines on a custom board (default: ${GAME_CONFIG.minesPercentage}% of the cells)
+  -s, --seed <seed>    seed of the first game, for a reproducible layout
+      --no-color       plain text output
+  -h, --help           show this help`;
+
+const COMMANDS = `Commands (rows and columns count from 1; without them the cursor cell is used):
+  r <row> <col>  reveal          f <row> <col>  flag, question mark, clear
+  c <row> <col>  chord           u  undo     p  pause / resume
+  n  new game    h  help         q  quit
+Arrow keys move the cursor, Space reveals under it.`;
+
+const CLEAR_SCREEN = '\x1b[H\x1b[2J';
+
+const parseOptions = (args) => {
+  try {
+    const { values } = parseArgs({
+      args,
+      options: {
+        level: { type: 'string', short: 'l', default: 'beginner' },
+        rows: { type: 'string', short: 'r' },
+        cols: { type: 'string', short: 'c' },
+        mines: { type: 'string', short: 'm' },
+        seed: { type: 'string', short: 's' },
+        'no-color': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+    return Result.success(values);
+  } catch (error) {
+    return Result.failure(error.message);
+  }
+};
+
+// Custom sizes start from the chosen level; without a mine count the default density applies
+const createConfig = (container, options) => {
+  if (!LEVELS.includes(options.level)) {
+    return Result.failure(`Unknown level '${options.level}', use ${LEVELS.join(', ')}`);
+  }
+
+  const level = GAME_CONFIG[options.level];
+  const isCustomSize = options.rows !== undefined || options.cols !== undefined;
+  const rows = options.rows === undefined ? level.rows : Number(options.rows);
+  const cols = options.cols === undefined ? level.cols : Number(options.cols);
+  let minesNumber = isCustomSize ? null : level.minesNumber;
+  if (options.mines !== undefined) {
+    minesNumber = Number(options.mines);
+  }
+
+  let config;
+  try {
+    config = new Config(rows, cols, GAME_CONFIG.minesPercentage, {
+      minesNumber,
+      questionMarks: GAME_CONFIG.questionMarks,
+      seed: options.seed ?? null
+    });
+  } catch (error) {
+    return Result.failure(error.message);
+  }
+
+  const validation = container.resolve('gameRules').validateGameConfiguration(config);
+  return validation.isValid ? Result.success(config) : Result.failure(validation.errors.join('; '));
+};
+
+const main = () => {
+  const optionsResult = parseOptions(process.argv.slice(2));
+  if (optionsResult.isFailure) {
+    console.error(`${optionsResult.error}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const options = optionsResult.value;
+  if (options.help) {
+    console.log(`${USAGE}\n\n${COMMANDS}`);
+    return;
+  }
+
+  // The board is drawn on stdout, so debug traces must stay out of it
+  const container = registerProductionServices(createContainer());
+  const configResult = createConfig(container, options);
+  if (configResult.isFailure) {
+    console.error(configResult.error);
+    process.exitCode = 1;
+    return;
+  }
+
+  const config = configResult.value;
+  const eventBus = container.resolve('eventBus');
+  const cellRenderer = container.resolve('cellRenderer');
+  // Arrow keys and a live clock need a terminal; piped input is read line by line
+  const isInteractive = Boolean(process.stdin.isTTY && process.stdout.isTTY);
+  const useColor = Boolean(process.stdout.isTTY) && !options['no-color'] && !process.env.NO_COLOR;
+
+  let gameService;
+  let renderer;
+  let cursor = { x: 0, y: 0 };
+  let message = '';
+  let commandBuffer = '';
+  // Only the first game uses --seed, so "n" deals a new layout
+  let seed = config.seed;
+
+  const startGame = () => {
+    gameService?.destroy();
+    eventBus.clear();
+
+    gameService = container.resolve('gameServiceFactory')(config, seed);
+    seed = null;
+    renderer = new TerminalBoardRenderer(gameService.getPlayerView().value, cellRenderer, { color: useColor });
+    cursor = { x: 0, y: 0 };
+
+    eventBus.subscribe('game-won', (event) => {
+      message = `You won in ${(event.data.duration / 1000).toFixed(1)} seconds. n: new game, q: quit`;
+    });
+    eventBus.subscribe('game-lost', () => {
+      message = 'You hit a mine. u: undo the last move, n: new game, q: quit';
+    });
+    if (isInteractive) {
+      gameService.onTimerTick(() => draw());
+    }
+
+    gameService.startNewGame();
+    message = isInteractive ? 'h: help' : '';
+  };
+
+  const statusLine = () => {
+    const gameState = gameService.getGameState().value;
+    let status = 'Playing';
+    if (gameState.result === GAME_CONSTANTS.GAME_RESULTS.WON) {
+      status = 'Won';
+    } else if (gameState.result === GAME_CONSTANTS.GAME_RESULTS.LOST) {
+      status = 'Lost';
+    } else if (gameState.isPaused) {
+      status = 'Paused';
+    }
+    return `Mines: ${gameState.remainingMines}   Time: ${Math.floor(gameState.elapsed / 1000)}s   ` +
+      `Seed: ${gameState.seed}   ${status}`;
+  };
+
+  const draw = () => {
+    // A paused game hides the board so the clock cannot be stopped to study it
+    const board = gameService.isPaused
+      ? 'Paused. p: continue'
+      : renderer.render({ cursor: isInteractive ? cursor : null }).value;
+    const screen = [statusLine(), '', board, '', message].join('\n');
+
+    if (isInteractive) {
+      process.stdout.write(`${CLEAR_SCREEN}${screen}\n> ${commandBuffer}`);
+    } else {
+      process.stdout.write(`${screen}\n`);
+    }
+  };
+
+  const positionFrom = (args) => {
+    if (args.length === 0) {
+      return Result.success(cursor);
+    }
+
+    const [row, col] = args.map(Number);
+    const { rows, cols } = gameService.getPlayerView().value.bounds;
+    if (args.length !== 2 || !Number.isInteger(row) || !Number.isInteger(col)) {
+      return Result.failure('Give a row and a column, e.g. r 3 4');
+    }
+    if (row < 1 || row > rows || col < 1 || col > cols) {
+      return Result.failure(`Rows go from 1 to ${rows} and columns from 1 to ${cols}`);
+    }
+    return Result.success({ x: row - 1, y: col - 1 });
+  };
+
+  const act = (action, args) => {
+    const result = positionFrom(args).flatMap(position => {
+      cursor = position;
+      return action(position);
+    });
+    if (result.isFailure) {
+      message = result.error;
+    }
+  };
+
+  // Returns false once the player quits
+  const runCommand = (line) => {
+    const [name = '', ...args] = line.trim().split(/\s+/).filter(Boolean);
+    message = '';
+
+    switch (name.toLowerCase()) {
+      case '':
+      case 'r':
+        act(position => gameService.revealCell(position), args);
+        break;
+      case 'f':
+        act(position => gameService.toggleCellFlag(position), args);
+        break;
+      case 'c':
+        act(position => gameService.chordCell(position), args);
+        break;
+      case 'u': {
+        const undoResult = gameService.undo();
+        message = undoResult.isFailure ? undoResult.error : '';
+        break;
+      }
+      case 'p': {
+        const toggleResult = gameService.isPaused ? gameService.resume() : gameService.pause();
+        message = toggleResult.isFailure ? toggleResult.error : '';
+        break;
+      }
+      case 'n':
+        startGame();
+        break;
+      case 'h':
+        message = COMMANDS;
+        break;
+      case 'q':
+        return false;
+      default:
+        message = `Unknown command '${name}'. h: help`;
+    }
+    return true;
+  };
+
+  // On a torus the cursor wraps around like the board does
+  const moveCursor = (dx, dy) => {
+    const { rows, cols } = gameService.getPlayerView().value.bounds;
+    const x = cursor.x + dx;
+    const y = cursor.y + dy;
+    cursor = gameService.getPlayerView().value.topology.wrap
+      ? { x: (x + rows) % rows, y: (y + cols) % cols }
+      : { x: Math.min(Math.max(x, 0), rows - 1), y: Math.min(Math.max(y, 0), cols - 1) };
+  };
+
+  const quit = () => {
+    gameService.destroy();
+    if (isInteractive) {
+      process.stdin.setRawMode(false);
+      process.stdout.write('\n');
+    }
+    process.stdin.pause();
+  };
+
+  startGame();
+  draw();
+
+  if (!isInteractive) {
+    const lines = readline.createInterface({ input: process.stdin });
+    lines.on('line', (line) => {
+      if (runCommand(line)) {
+        draw();
+      } else {
+        lines.close();
+      }
+    });
+    lines.on('close', () => gameService.destroy());
+    return;
+  }
+
+  const arrows = { up: [-1, 0], down: [1, 0], left: [0, -1], right: [0, 1] };
+  readline.emitKeypressEvents(process.stdin);
+  process.stdin.setRawMode(true);
+  process.stdin.on('keypress', (text, key = {}) => {
+    if (key.ctrl && key.name === 'c') {
+      quit();
+      return;
+    }
+
+    if (arrows[key.name]) {
+      moveCursor(...arrows[key.name]);
+    } else if (key.name === 'return') {
+      const command = commandBuffer;
+      commandBuffer = '';
+      if (!runCommand(command)) {
+        quit();
+        return;
+      }
+    } else if (key.name === 'backspace') {
+      commandBuffer = commandBuffer.slice(0, -1);
+    } else if (key.name === 'escape') {
+      commandBuffer = '';
+    } else if (key.name === 'space' && commandBuffer === '') {
+      runCommand('r');
+    } else if (text && !key.ctrl && !key.meta && text >= ' ') {
+      commandBuffer += text;
+    }
+    draw();
+  });
+};
+
+main();
@@ -44,6 +44,36 @@ export class FirstMoveEvent extends GameEvent {
   }
 }
 
+export class PlayerActionEvent extends GameEvent {
+  constructor(actionData) {
+    super('player-action', actionData);
+  }
+}
+
+export class MoveUndoneEvent extends GameEvent {
+  constructor(moveData) {
+    super('move-undone', moveData);
+  }
+}
+
+export class MoveRedoneEvent extends GameEvent {
+  constructor(moveData) {
+    super('move-redone', moveData);
+  }
+}
+
+export class GamePausedEvent extends GameEvent {
+  constructor(data) {
+    super('game-paused', data);
+  }
+}
+
+export class GameResumedEvent extends GameEvent {
+  constructor(data) {
+    super('game-resumed', data);
+  }
+}
+
 export class BoardStateChangedEvent extends GameEvent {
   constructor(boardState) {
     super('board-state-changed', boardState);
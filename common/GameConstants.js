@@ -26,6 +26,7 @@ export const GAME_CONSTANTS = Object.freeze({
     HIDDEN: 'hidden',
     REVEALED: 'revealed',
     FLAGGED: 'flagged',
+    QUESTIONED: 'questioned',
     DISABLED: 'disabled',
     EXPLODED: 'exploded'
   }),
@@ -50,6 +51,7 @@ export const GAME_CONSTANTS = Object.freeze({
     MINE: '&#128163;',
     EXPLOSION: '&#128165;',
     FLAG: '&#128204;',
+    QUESTION_MARK: '?',
     WRONG_FLAG: '&#10060;'  // ❌ - Red cross for incorrectly flagged cells
   }),
 
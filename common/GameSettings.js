@@ -1,8 +1,10 @@
 export const GAME_CONFIG = {
   minesPercentage: 15,
-  beginner: { rows: 8, cols: 8 },
-  intermediate: { rows: 16, cols: 16 },
-  expert: { rows: 16, cols: 30 }
+  questionMarks: false,
+  noGuess: false,
+  beginner: { rows: 8, cols: 8, minesNumber: 10 },
+  intermediate: { rows: 16, cols: 16, minesNumber: 40 },
+  expert: { rows: 16, cols: 30, minesNumber: 99 }
 };
 
 export const EMOJI = {
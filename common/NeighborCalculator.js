@@ -1,9 +1,10 @@
 "use strict";
 
 import { TypeGuards } from './TypeGuards.js';
+import { Topology, SQUARE_TOPOLOGY } from './Topology.js';
 
 export class NeighborCalculator {
-  static calculateNeighbors(position, bounds) {
+  static calculateNeighbors(position, bounds, topology = SQUARE_TOPOLOGY) {
     if (!TypeGuards.isValidPosition(position)) {
       throw new TypeError('Invalid position provided');
     }
@@ -11,24 +12,10 @@ export class NeighborCalculator {
       throw new TypeError('Invalid bounds provided');
     }
 
-    const neighbors = [];
-    const startX = Math.max(0, position.x - 1);
-    const startY = Math.max(0, position.y - 1);
-    const endX = Math.min(position.x + 1, bounds.rows - 1);
-    const endY = Math.min(position.y + 1, bounds.cols - 1);
-
-    for (let x = startX; x <= endX; x++) {
-      for (let y = startY; y <= endY; y++) {
-        if (x !== position.x || y !== position.y) {
-          neighbors.push({ x, y });
-        }
-      }
-    }
-
-    return neighbors;
+    return Topology.from(topology).neighbors(position, bounds);
   }
 
-  static calculateNeighborPositions(position, bounds) {
-    return this.calculateNeighbors(position, bounds);
+  static calculateNeighborPositions(position, bounds, topology = SQUARE_TOPOLOGY) {
+    return this.calculateNeighbors(position, bounds, topology);
   }
 }
\ No newline at end of file
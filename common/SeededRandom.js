@@ -0,0 +1,64 @@
+"use strict";
+
+import { TypeGuards } from './TypeGuards.js';
+
+// Mulberry32 generator - tiny, fast and fully determined by its 32-bit seed
+export class SeededRandom {
+  #seed;
+  #state;
+
+  constructor(seed = SeededRandom.createSeed()) {
+    this.#seed = SeededRandom.normalizeSeed(seed);
+    this.#state = this.#seed;
+  }
+
+  get seed() {
+    return this.#seed;
+  }
+
+  // Returns a float in [0, 1)
+  next() {
+    this.#state = (this.#state + 0x6D2B79F5) >>> 0;
+    let t = this.#state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Returns an integer in [0, max)
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  static createSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  static isValidSeed(seed) {
+    return (TypeGuards.isNumber(seed) && Number.isInteger(seed)) ||
+      (TypeGuards.isString(seed) && seed.trim().length > 0);
+  }
+
+  // Accepts unsigned 32-bit integers as-is and hashes any other string (FNV-1a)
+  static normalizeSeed(seed) {
+    if (TypeGuards.isNumber(seed) && Number.isInteger(seed)) {
+      return seed >>> 0;
+    }
+
+    if (TypeGuards.isString(seed) && seed.trim().length > 0) {
+      const trimmed = seed.trim();
+      if (/^\d+$/.test(trimmed) && Number(trimmed) <= 0xFFFFFFFF) {
+        return Number(trimmed);
+      }
+
+      let hash = 0x811C9DC5;
+      for (let i = 0; i < trimmed.length; i++) {
+        hash ^= trimmed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return hash >>> 0;
+    }
+
+    throw new TypeError('Seed must be an integer or a non-empty string');
+  }
+}
@@ -0,0 +1,170 @@
+"use strict";
+
+export const TOPOLOGY_TYPES = Object.freeze({
+  SQUARE: 'square',
+  HEX: 'hex'
+});
+
+// Which cells a number counts on a square board
+export const NEIGHBORHOOD_TYPES = Object.freeze({
+  STANDARD: 'standard',
+  ORTHOGONAL: 'orthogonal',
+  KNIGHT: 'knight',
+  RADIUS_2: 'radius2'
+});
+
+/**
+ * Defines which cells are neighbors on a board. Positions keep the usual
+ * { x: row, y: column } form; subclasses only describe the relative steps.
+ * With `wrap` the board is a torus: steps past an edge continue on the opposite side.
+ */
+export class Topology {
+  #wrap;
+
+  constructor({ wrap = false } = {}) {
+    this.#wrap = Boolean(wrap);
+  }
+
+  get wrap() {
+    return this.#wrap;
+  }
+
+  get type() {
+    throw new Error('Topology subclasses must define a type');
+  }
+
+  get neighborhood() {
+    return NEIGHBORHOOD_TYPES.STANDARD;
+  }
+
+  // Relative { dx, dy } steps from the given position to its neighbors
+  offsetsFor(position) {
+    throw new Error('Topology subclasses must define neighbor offsets');
+  }
+
+  neighbors(position, bounds) {
+    const neighbors = [];
+    const seen = new Set();
+    for (const { dx, dy } of this.offsetsFor(position)) {
+      let x = position.x + dx;
+      let y = position.y + dy;
+
+      if (this.#wrap) {
+        x = (x % bounds.rows + bounds.rows) % bounds.rows;
+        y = (y % bounds.cols + bounds.cols) % bounds.cols;
+      } else if (x < 0 || x >= bounds.rows || y < 0 || y >= bounds.cols) {
+        continue;
+      }
+
+      // On a wrapped board two steps can land on the same cell, or back on the cell itself
+      const key = x * bounds.cols + y;
+      if ((x === position.x && y === position.y) || seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+      neighbors.push({ x, y });
+    }
+    return neighbors;
+  }
+
+  toJSON() {
+    return { type: this.type, wrap: this.#wrap, neighborhood: this.neighborhood };
+  }
+
+  // Accepts a Topology, a descriptor such as { type: 'hex', wrap: true } or a bare type name
+  static from(descriptor) {
+    if (descriptor instanceof Topology) {
+      return descriptor;
+    }
+
+    const type = typeof descriptor === 'string' ? descriptor : descriptor?.type ?? TOPOLOGY_TYPES.SQUARE;
+    const neighborhood = descriptor?.neighborhood ?? NEIGHBORHOOD_TYPES.STANDARD;
+    const options = { wrap: descriptor?.wrap ?? false };
+    switch (type) {
+      case TOPOLOGY_TYPES.SQUARE:
+        return new SquareTopology({ ...options, neighborhood });
+      case TOPOLOGY_TYPES.HEX:
+        if (neighborhood !== NEIGHBORHOOD_TYPES.STANDARD) {
+          throw new TypeError('Hex boards only support the standard neighborhood');
+        }
+        return new HexTopology(options);
+      default:
+        throw new TypeError(`Unknown topology '${type}'`);
+    }
+  }
+}
+
+function offsetsWithin(radius, accept = () => true) {
+  const offsets = [];
+  for (let dx = -radius; dx <= radius; dx++) {
+    for (let dy = -radius; dy <= radius; dy++) {
+      if ((dx !== 0 || dy !== 0) && accept(dx, dy)) {
+        offsets.push(Object.freeze({ dx, dy }));
+      }
+    }
+  }
+  return Object.freeze(offsets);
+}
+
+const SQUARE_NEIGHBORHOODS = Object.freeze({
+  [NEIGHBORHOOD_TYPES.STANDARD]: offsetsWithin(1),
+  [NEIGHBORHOOD_TYPES.ORTHOGONAL]: offsetsWithin(1, (dx, dy) => dx === 0 || dy === 0),
+  [NEIGHBORHOOD_TYPES.KNIGHT]: offsetsWithin(2, (dx, dy) => Math.abs(dx * dy) === 2),
+  [NEIGHBORHOOD_TYPES.RADIUS_2]: offsetsWithin(2)
+});
+
+export class SquareTopology extends Topology {
+  #neighborhood;
+
+  constructor({ wrap = false, neighborhood = NEIGHBORHOOD_TYPES.STANDARD } = {}) {
+    super({ wrap });
+    if (!SQUARE_NEIGHBORHOODS[neighborhood]) {
+      throw new TypeError(`Unknown neighborhood '${neighborhood}'`);
+    }
+    this.#neighborhood = neighborhood;
+  }
+
+  get type() {
+    return TOPOLOGY_TYPES.SQUARE;
+  }
+
+  get neighborhood() {
+    return this.#neighborhood;
+  }
+
+  offsetsFor() {
+    return SQUARE_NEIGHBORHOODS[this.#neighborhood];
+  }
+}
+
+// "Odd-r" offset coordinates: odd rows sit half a cell to the right of even rows.
+// Wrapping vertically keeps the pattern only when the row count is even.
+const HEX_EVEN_ROW_OFFSETS = Object.freeze([
+  { dx: -1, dy: -1 }, { dx: -1, dy: 0 },
+  { dx: 0, dy: -1 }, { dx: 0, dy: 1 },
+  { dx: 1, dy: -1 }, { dx: 1, dy: 0 }
+]);
+
+const HEX_ODD_ROW_OFFSETS = Object.freeze([
+  { dx: -1, dy: 0 }, { dx: -1, dy: 1 },
+  { dx: 0, dy: -1 }, { dx: 0, dy: 1 },
+  { dx: 1, dy: 0 }, { dx: 1, dy: 1 }
+]);
+
+// The most neighbors a cell can have in any supported topology (radius-2 squares)
+export const MAX_NEIGHBOR_COUNT = Math.max(
+  ...Object.values(SQUARE_NEIGHBORHOODS).map(offsets => offsets.length),
+  HEX_EVEN_ROW_OFFSETS.length
+);
+
+export class HexTopology extends Topology {
+  get type() {
+    return TOPOLOGY_TYPES.HEX;
+  }
+
+  offsetsFor(position) {
+    return position.x % 2 === 0 ? HEX_EVEN_ROW_OFFSETS : HEX_ODD_ROW_OFFSETS;
+  }
+}
+
+export const SQUARE_TOPOLOGY = new SquareTopology();
@@ -2,22 +2,38 @@
 
 import { Result } from '../../common/Result.js';
 import { TypeGuards } from '../../common/TypeGuards.js';
+import { Topology, SQUARE_TOPOLOGY } from '../../common/Topology.js';
+import { GAME_CONSTANTS } from '../../common/GameConstants.js';
+
+const { CELL_STATES } = GAME_CONSTANTS;
 
 export class Board {
   #matrix;
   #bounds;
+  #topology;
   #cellPositionMap;
+  #stateListeners;
+  // Live tallies kept in step with cell state changes so counts never need a full scan
+  #stateCounts;
+  #mineCount;
+  #revealedSafeCount;
 
-  constructor(bounds, cellFactory) {
+  constructor(bounds, cellFactory, topology = SQUARE_TOPOLOGY) {
     if (!TypeGuards.isValidBounds(bounds)) {
       throw new TypeError('Invalid bounds provided');
     }
     if (!TypeGuards.isFunction(cellFactory)) {
       throw new TypeError('Cell factory must be a function');
     }
+    if (!(topology instanceof Topology)) {
+      throw new TypeError('Topology must be a Topology instance');
+    }
 
     this.#bounds = Object.freeze({ ...bounds });
+    this.#topology = topology;
     this.#cellPositionMap = new Map();
+    this.#stateListeners = new Set();
+    this.#resetCounts();
     this.#matrix = this.#createMatrix(cellFactory);
   }
 
@@ -25,6 +41,31 @@ export class Board {
     return this.#bounds;
   }
 
+  get topology() {
+    return this.#topology;
+  }
+
+  get mineCount() {
+    return this.#mineCount;
+  }
+
+  get revealedCount() {
+    return this.#stateCounts.get(CELL_STATES.REVEALED);
+  }
+
+  get flaggedCount() {
+    return this.#stateCounts.get(CELL_STATES.FLAGGED);
+  }
+
+  get explodedCount() {
+    return this.#stateCounts.get(CELL_STATES.EXPLODED);
+  }
+
+  // Safe cells that still have to be opened to win
+  get unrevealedSafeCount() {
+    return this.#bounds.rows * this.#bounds.cols - this.#mineCount - this.#revealedSafeCount;
+  }
+
   get matrix() {
     return this.#matrix.map(row => [...row]); // Return a copy to prevent external modification
   }
@@ -117,6 +158,41 @@ export class Board {
     }
   }
 
+  // Listener receives (cell, previousState) after every cell state change; returns an unsubscribe function
+  onCellStateChanged(listener) {
+    if (!TypeGuards.isFunction(listener)) {
+      throw new TypeError('State change listener must be a function');
+    }
+
+    this.#stateListeners.add(listener);
+    return () => this.#stateListeners.delete(listener);
+  }
+
+  #observeCell(cell) {
+    if (cell.containsMine) {
+      this.#mineCount++;
+    }
+    this.#countCell(cell, cell.state, 1);
+    cell.observeState((changedCell, previousState) => {
+      this.#countCell(changedCell, previousState, -1);
+      this.#countCell(changedCell, changedCell.state, 1);
+      this.#stateListeners.forEach(listener => listener(changedCell, previousState));
+    });
+  }
+
+  #resetCounts() {
+    this.#stateCounts = new Map(Object.values(CELL_STATES).map(state => [state, 0]));
+    this.#mineCount = 0;
+    this.#revealedSafeCount = 0;
+  }
+
+  #countCell(cell, state, delta) {
+    this.#stateCounts.set(state, this.#stateCounts.get(state) + delta);
+    if (state === CELL_STATES.REVEALED && !cell.containsMine) {
+      this.#revealedSafeCount += delta;
+    }
+  }
+
   #createMatrix(cellFactory) {
     const matrix = [];
 
@@ -128,6 +204,7 @@ export class Board {
 
         matrix[x][y] = cell;
         this.#cellPositionMap.set(cell.id, position);
+        this.#observeCell(cell);
       }
     }
 
@@ -154,6 +231,10 @@ export class Board {
     if (setMineResult.isFailure) {
       return setMineResult;
     }
+    this.#mineCount++;
+    if (cell.isRevealed) {
+      this.#revealedSafeCount--;
+    }
 
     return Result.success({ cellId: cell.id, position });
   }
@@ -170,22 +251,9 @@ export class Board {
     return Result.success(results.map(r => r.value));
   }
 
+  // Built through the constructor: private fields cannot be added to an Object.create() instance
   clone() {
-    const clonedMatrix = this.#matrix.map(row =>
-      row.map(cell => cell.clone())
-    );
-
-    const clonedBoard = Object.create(Board.prototype);
-    clonedBoard.#bounds = { ...this.#bounds };
-    clonedBoard.#matrix = clonedMatrix;
-    clonedBoard.#cellPositionMap = new Map();
-
-    // Rebuild cell position map
-    clonedBoard.forEachCell((cell, position) => {
-      clonedBoard.#cellPositionMap.set(cell.id, position);
-    });
-
-    return clonedBoard;
+    return new Board(this.#bounds, ({ x, y }) => this.#matrix[x][y].clone(), this.#topology);
   }
 
   equals(other) {
@@ -3,6 +3,7 @@
 import { TypeGuards } from '../../common/TypeGuards.js';
 import { GAME_CONSTANTS } from '../../common/GameConstants.js';
 import { Result } from '../../common/Result.js';
+import { MAX_NEIGHBOR_COUNT } from '../../common/Topology.js';
 
 export class Cell {
   #id;
@@ -10,6 +11,7 @@ export class Cell {
   #position;
   #state;
   #neighborMineCount;
+  #stateObserver;
 
   constructor(id, containsMine = false, position = null) {
     if (!TypeGuards.isValidCellId(id)) {
@@ -21,6 +23,7 @@ export class Cell {
     this.#position = position;
     this.#state = GAME_CONSTANTS.CELL_STATES.HIDDEN;
     this.#neighborMineCount = 0;
+    this.#stateObserver = null;
   }
 
   get id() {
@@ -72,6 +75,10 @@ export class Cell {
     return this.#state === GAME_CONSTANTS.CELL_STATES.FLAGGED;
   }
 
+  get isQuestioned() {
+    return this.#state === GAME_CONSTANTS.CELL_STATES.QUESTIONED;
+  }
+
   get isDisabled() {
     return this.#state === GAME_CONSTANTS.CELL_STATES.DISABLED;
   }
@@ -103,12 +110,13 @@ export class Cell {
   }
 
   // Domain methods
-  setNeighborMineCount(count) {
+  // The upper limit is the neighbor count of the board's topology
+  setNeighborMineCount(count, maxCount = MAX_NEIGHBOR_COUNT) {
     if (this.#containsMine) {
       return Result.failure('Cannot set neighbor mine count on a mine cell');
     }
-    if (!TypeGuards.isNumber(count) || count < 0 || count > 8) {
-      return Result.failure('Neighbor mine count must be between 0 and 8');
+    if (!Number.isInteger(count) || count < 0 || count > maxCount) {
+      return Result.failure(`Neighbor mine count must be between 0 and ${maxCount}`);
     }
 
     this.#neighborMineCount = count;
@@ -126,8 +134,9 @@ export class Cell {
   }
 
   // Backward compatibility setter
+  // Has no topology to ask, so only the largest neighborhood bounds the count
   set minedNeighborsNumber(value) {
-    const result = this.setNeighborMineCount(value || 0);
+    const result = this.setNeighborMineCount(value || 0, MAX_NEIGHBOR_COUNT);
     if (result.isFailure) {
       throw new Error(result.error);
     }
@@ -143,8 +152,11 @@ export class Cell {
     if (this.isFlagged) {
       return Result.failure('Cannot reveal flagged cell');
     }
+    if (this.isQuestioned) {
+      return Result.failure('Cannot reveal question-marked cell');
+    }
 
-    this.#state = GAME_CONSTANTS.CELL_STATES.REVEALED;
+    this.#setState(GAME_CONSTANTS.CELL_STATES.REVEALED);
     return Result.success({
       cellId: this.#id,
       containsMine: this.#containsMine,
@@ -160,7 +172,8 @@ export class Cell {
     }
   }
 
-  toggleFlag() {
+  // Cycles hidden -> flagged -> (questioned ->) hidden
+  toggleFlag(allowQuestionMarks = false) {
     if (this.isDisabled) {
       return Result.failure('Cannot flag disabled cell');
     }
@@ -168,17 +181,23 @@ export class Cell {
       return Result.failure('Cannot flag revealed cell');
     }
 
-    if (this.isFlagged) {
-      this.#state = GAME_CONSTANTS.CELL_STATES.HIDDEN;
+    if (this.isQuestioned) {
+      this.#setState(GAME_CONSTANTS.CELL_STATES.HIDDEN);
+      return Result.success({ action: 'unquestioned', cellId: this.#id });
+    } else if (this.isFlagged && allowQuestionMarks) {
+      this.#setState(GAME_CONSTANTS.CELL_STATES.QUESTIONED);
+      return Result.success({ action: 'questioned', cellId: this.#id });
+    } else if (this.isFlagged) {
+      this.#setState(GAME_CONSTANTS.CELL_STATES.HIDDEN);
       return Result.success({ action: 'unflagged', cellId: this.#id });
     } else {
-      this.#state = GAME_CONSTANTS.CELL_STATES.FLAGGED;
+      this.#setState(GAME_CONSTANTS.CELL_STATES.FLAGGED);
       return Result.success({ action: 'flagged', cellId: this.#id });
     }
   }
 
   disable() {
-    this.#state = GAME_CONSTANTS.CELL_STATES.DISABLED;
+    this.#setState(GAME_CONSTANTS.CELL_STATES.DISABLED);
     return Result.success({ cellId: this.#id });
   }
 
@@ -187,17 +206,46 @@ export class Cell {
       return Result.failure('Only mine cells can explode');
     }
 
-    this.#state = GAME_CONSTANTS.CELL_STATES.EXPLODED;
+    this.#setState(GAME_CONSTANTS.CELL_STATES.EXPLODED);
     return Result.success({ cellId: this.#id });
   }
 
 
+  // Puts the cell back into a previously observed state (used by undo/redo and saved games)
+  restoreState(state) {
+    if (!Object.values(GAME_CONSTANTS.CELL_STATES).includes(state)) {
+      return Result.failure(`Unknown cell state '${state}'`);
+    }
+    if (state === GAME_CONSTANTS.CELL_STATES.EXPLODED && !this.#containsMine) {
+      return Result.failure('Only mine cells can explode');
+    }
+
+    this.#setState(state);
+    return Result.success({ cellId: this.#id, state });
+  }
+
+  // Single observer slot, owned by the Board the cell belongs to
+  observeState(observer) {
+    if (observer !== null && !TypeGuards.isFunction(observer)) {
+      throw new TypeError('State observer must be a function or null');
+    }
+    this.#stateObserver = observer;
+  }
+
+  #setState(state) {
+    const previousState = this.#state;
+    this.#state = state;
+    if (this.#stateObserver && previousState !== state) {
+      this.#stateObserver(this, previousState);
+    }
+  }
+
   canBeRevealed() {
     return this.isHidden && !this.isDisabled;
   }
 
   canBeFlagged() {
-    return (this.isHidden || this.isFlagged) && !this.isDisabled;
+    return (this.isHidden || this.isFlagged || this.isQuestioned) && !this.isDisabled;
   }
 
   equals(other) {
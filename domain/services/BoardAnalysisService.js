@@ -0,0 +1,100 @@
+"use strict";
+
+import { Result } from '../../common/Result.js';
+import { TypeGuards } from '../../common/TypeGuards.js';
+
+/**
+ * Difficulty of a mined board measured in clicks. An opening is a connected
+ * area of zeros (cleared by one click together with its border of numbers);
+ * numbers outside every opening need a click each and form islands.
+ * 3BV is the minimum number of left clicks: openings plus those numbers.
+ */
+export class BoardAnalysisService {
+  // Reads the mine layout, so it is only meaningful once mines are placed.
+  // Solved 3BV counts the openings and island cells the player has revealed so far.
+  analyze(board) {
+    const { rows, cols } = board.bounds;
+    const cells = board.getAllCells();
+    if (!cells.some(cell => cell.containsMine)) {
+      return Result.failure('Board has no mines placed yet');
+    }
+
+    const indexOf = ({ x, y }) => x * cols + y;
+    const neighborsOf = (cell) => board.topology.neighbors(cell.position, board.bounds).map(indexOf);
+    const isZero = (cell) => !cell.containsMine && cell.neighborMineCount === 0;
+
+    const bordersOpening = new Array(rows * cols).fill(false);
+    const visited = new Array(rows * cols).fill(false);
+    let openings = 0;
+    let solvedOpenings = 0;
+
+    for (const start of cells) {
+      const startIndex = indexOf(start.position);
+      if (!isZero(start) || visited[startIndex]) continue;
+
+      openings++;
+      let isSolved = false;
+      const stack = [startIndex];
+      visited[startIndex] = true;
+      while (stack.length > 0) {
+        const cell = cells[stack.pop()];
+        isSolved ||= cell.isRevealed;
+        for (const neighborIndex of neighborsOf(cell)) {
+          bordersOpening[neighborIndex] = true;
+          if (!visited[neighborIndex] && isZero(cells[neighborIndex])) {
+            visited[neighborIndex] = true;
+            stack.push(neighborIndex);
+          }
+        }
+      }
+      if (isSolved) solvedOpenings++;
+    }
+
+    const isIslandCell = (index) => !cells[index].containsMine && !isZero(cells[index]) && !bordersOpening[index];
+    let islandCells = 0;
+    let solvedIslandCells = 0;
+    let islands = 0;
+
+    for (let startIndex = 0; startIndex < cells.length; startIndex++) {
+      if (!isIslandCell(startIndex) || visited[startIndex]) continue;
+
+      islands++;
+      const stack = [startIndex];
+      visited[startIndex] = true;
+      while (stack.length > 0) {
+        const cell = cells[stack.pop()];
+        islandCells++;
+        if (cell.isRevealed) solvedIslandCells++;
+        for (const neighborIndex of neighborsOf(cell)) {
+          if (!visited[neighborIndex] && isIslandCell(neighborIndex)) {
+            visited[neighborIndex] = true;
+            stack.push(neighborIndex);
+          }
+        }
+      }
+    }
+
+    return Result.success({
+      bbbv: openings + islandCells,
+      solvedBbbv: solvedOpenings + solvedIslandCells,
+      openings,
+      islands
+    });
+  }
+
+  // Efficiency is IOE as a percentage, the form most score tables show
+  calculateMetrics({ solvedBbbv }, { left = 0, right = 0, chord = 0 } = {}, duration = null) {
+    if (!TypeGuards.isNumber(solvedBbbv)) {
+      return Result.failure('Analysis must include the solved 3BV');
+    }
+
+    const totalClicks = left + right + chord;
+    const ioe = totalClicks > 0 ? solvedBbbv / totalClicks : null;
+    return Result.success({
+      clicks: { left, right, chord, total: totalClicks },
+      bbbvPerSecond: TypeGuards.isNumber(duration) && duration > 0 ? solvedBbbv / (duration / 1000) : null,
+      efficiency: ioe === null ? null : ioe * 100,
+      ioe
+    });
+  }
+}
@@ -0,0 +1,118 @@
+"use strict";
+
+import { Result } from '../../common/Result.js';
+import { TypeGuards } from '../../common/TypeGuards.js';
+import { GAME_CONSTANTS } from '../../common/GameConstants.js';
+
+const { CELL_STATES } = GAME_CONSTANTS;
+
+// One character per cell: lower case (and '.') is a safe cell, upper case (and '*') a mine
+export const BOARD_TEXT_MARKERS = Object.freeze({
+  '.': Object.freeze({ containsMine: false, state: CELL_STATES.HIDDEN }),
+  '*': Object.freeze({ containsMine: true, state: CELL_STATES.HIDDEN }),
+  'f': Object.freeze({ containsMine: false, state: CELL_STATES.FLAGGED }),
+  'F': Object.freeze({ containsMine: true, state: CELL_STATES.FLAGGED }),
+  'q': Object.freeze({ containsMine: false, state: CELL_STATES.QUESTIONED }),
+  'Q': Object.freeze({ containsMine: true, state: CELL_STATES.QUESTIONED }),
+  'o': Object.freeze({ containsMine: false, state: CELL_STATES.REVEALED }),
+  'X': Object.freeze({ containsMine: true, state: CELL_STATES.EXPLODED })
+});
+
+const COMMENT_PREFIX = '#';
+
+/**
+ * Plain-text board layouts: one line per row, one marker per cell, `#` starts a
+ * comment line. Used to hand-write boards that reproduce specific situations.
+ */
+export class BoardTextFormat {
+  #gameRules;
+
+  constructor(gameRules) {
+    this.#gameRules = gameRules;
+  }
+
+  // Takes a layout shaped like the result of parse, with cell states in row order.
+  // Disabled cells and the exploded mine of a finished game are written as hidden,
+  // so every export can be imported again
+  format({ bounds, mines, cellStates }, { includeStates = true } = {}) {
+    const mineKeys = new Set(mines.map(({ x, y }) => `${x},${y}`));
+    const lines = [];
+    for (let x = 0; x < bounds.rows; x++) {
+      let line = '';
+      for (let y = 0; y < bounds.cols; y++) {
+        const state = includeStates ? cellStates[x * bounds.cols + y] : CELL_STATES.HIDDEN;
+        line += markerFor(mineKeys.has(`${x},${y}`), state);
+      }
+      lines.push(line);
+    }
+    return Result.success(lines.join('\n') + '\n');
+  }
+
+  // Returns { bounds, mines, cellStates, hasStates } with cell states in row order
+  parse(text) {
+    if (!TypeGuards.isString(text)) {
+      return Result.failure('Board text must be a string');
+    }
+
+    const rows = [];
+    const lines = text.split(/\r?\n/);
+    for (const [index, rawLine] of lines.entries()) {
+      const line = rawLine.trimEnd();
+      if (line === '' || line.startsWith(COMMENT_PREFIX)) {
+        continue;
+      }
+      rows.push({ lineNumber: index + 1, line });
+    }
+
+    if (rows.length === 0) {
+      return Result.failure('Board text contains no rows');
+    }
+
+    const cols = rows[0].line.length;
+    if (!this.#gameRules.isValidBoardSize(rows.length, cols)) {
+      return Result.failure(`Board size ${rows.length}x${cols} is not supported`);
+    }
+
+    const mines = [];
+    const cellStates = [];
+    for (const [x, { lineNumber, line }] of rows.entries()) {
+      if (line.length !== cols) {
+        return Result.failure(`Line ${lineNumber}: expected ${cols} columns, found ${line.length}`);
+      }
+
+      for (let y = 0; y < cols; y++) {
+        const marker = BOARD_TEXT_MARKERS[line[y]];
+        if (!marker) {
+          return Result.failure(`Line ${lineNumber}, column ${y + 1}: unknown marker '${line[y]}'`);
+        }
+        if (marker.state === CELL_STATES.EXPLODED) {
+          return Result.failure(`Line ${lineNumber}, column ${y + 1}: exploded mines cannot be imported`);
+        }
+
+        if (marker.containsMine) {
+          mines.push({ x, y });
+        }
+        cellStates.push(marker.state);
+      }
+    }
+
+    const totalCells = rows.length * cols;
+    if (mines.length === 0 || !this.#gameRules.isValidMineCount(mines.length, totalCells)) {
+      return Result.failure(`Board must contain between 1 and ${totalCells - 1} mines, found ${mines.length}`);
+    }
+
+    return Result.success({
+      bounds: { rows: rows.length, cols },
+      mines,
+      cellStates,
+      hasStates: cellStates.some(state => state !== CELL_STATES.HIDDEN)
+    });
+  }
+}
+
+function markerFor(containsMine, state) {
+  const effectiveState = state === CELL_STATES.DISABLED || state === CELL_STATES.EXPLODED ? CELL_STATES.HIDDEN : state;
+  const entry = Object.entries(BOARD_TEXT_MARKERS)
+    .find(([, marker]) => marker.containsMine === containsMine && marker.state === effectiveState);
+  return entry ? entry[0] : (containsMine ? '*' : '.');
+}
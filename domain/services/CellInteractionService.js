@@ -63,7 +63,7 @@ export class CellInteractionService {
     });
   }
 
-  toggleCellFlag(board, position) {
+  toggleCellFlag(board, position, allowQuestionMarks = false) {
     if (!TypeGuards.isValidPosition(position)) {
       return Result.failure('Invalid position provided');
     }
@@ -79,7 +79,7 @@ export class CellInteractionService {
       return Result.failure('Cell cannot be flagged according to game rules');
     }
 
-    const flagResult = cell.toggleFlag();
+    const flagResult = cell.toggleFlag(allowQuestionMarks);
     if (flagResult.isFailure) {
       return flagResult;
     }
@@ -92,32 +92,83 @@ export class CellInteractionService {
     });
   }
 
-  _revealEmptyNeighbors(board, position) {
+  chordCell(board, position) {
+    if (!TypeGuards.isValidPosition(position)) {
+      return Result.failure('Invalid position provided');
+    }
+
+    const cellResult = board.getCellAt(position);
+    if (cellResult.isFailure) {
+      return cellResult;
+    }
+
+    const cell = cellResult.value;
+
+    if (!cell.isRevealed || !cell.hasMinedNeighbors) {
+      return Result.failure('Only revealed number cells can be chorded');
+    }
+
     const neighborsResult = NeighborService.getNeighborCells(board, position);
     if (neighborsResult.isFailure) {
       return neighborsResult;
     }
 
     const neighbors = neighborsResult.value;
-    const allRevealedCells = [];
-    const cellsToProcess = [];
+    const flaggedCount = neighbors.filter(neighbor => neighbor.isFlagged).length;
+    if (flaggedCount !== cell.neighborMineCount) {
+      return Result.failure('Flagged neighbors do not match the cell number');
+    }
+
+    const revealedCells = [];
 
-    // Collect all neighbors to process
     for (const neighborCell of neighbors) {
-      if (neighborCell.canBeRevealed() && !neighborCell.containsMine) {
-        cellsToProcess.push(neighborCell);
+      // Cells opened by an earlier cascade in this chord are skipped here
+      if (!this._gameRules.canRevealCell(neighborCell)) {
+        continue;
       }
-    }
 
-    // Process cells in queue (breadth-first)
-    while (cellsToProcess.length > 0) {
-      const currentCell = cellsToProcess.shift();
-      
-      // Check if cell hasn't been revealed already
-      if (!currentCell.canBeRevealed()) {
+      const revealResult = this.revealCell(board, neighborCell.position);
+      if (revealResult.isFailure) {
         continue;
       }
 
+      revealedCells.push(revealResult.value);
+    }
+
+    const exploded = revealedCells.some(revealData => revealData.type === 'explosion');
+
+    return Result.success({
+      type: exploded ? 'chord_explosion' : 'chord',
+      cell: cell,
+      position: position,
+      revealedCells
+    });
+  }
+
+  _revealEmptyNeighbors(board, position) {
+    const neighborsResult = NeighborService.getNeighborCells(board, position);
+    if (neighborsResult.isFailure) {
+      return neighborsResult;
+    }
+
+    const allRevealedCells = [];
+    const cellsToProcess = [];
+    // Ids of every cell ever queued, so each one is visited at most once
+    const queuedCellIds = new Set();
+
+    const enqueue = (cell) => {
+      if (cell.canBeRevealed() && !cell.containsMine && !queuedCellIds.has(cell.id)) {
+        queuedCellIds.add(cell.id);
+        cellsToProcess.push(cell);
+      }
+    };
+
+    neighborsResult.value.forEach(enqueue);
+
+    // Process cells in queue (breadth-first); the index avoids O(n) shifts
+    for (let index = 0; index < cellsToProcess.length; index++) {
+      const currentCell = cellsToProcess[index];
+
       // Reveal the cell
       const revealResult = currentCell.reveal();
       if (revealResult.isFailure) {
@@ -135,15 +186,7 @@ export class CellInteractionService {
       if (!currentCell.hasMinedNeighbors) {
         const nextNeighborsResult = NeighborService.getNeighborCells(board, currentCell.position);
         if (nextNeighborsResult.isSuccess) {
-          for (const nextNeighbor of nextNeighborsResult.value) {
-            if (nextNeighbor.canBeRevealed() && !nextNeighbor.containsMine) {
-              // Check if neighbor is not already in queue
-              if (!cellsToProcess.includes(nextNeighbor) && 
-                  !allRevealedCells.some(revealed => revealed.cell.id === nextNeighbor.id)) {
-                cellsToProcess.push(nextNeighbor);
-              }
-            }
-          }
+          nextNeighborsResult.value.forEach(enqueue);
         }
       }
     }
@@ -211,6 +254,10 @@ export class CellInteractionService {
 
         if (cellResult.isSuccess) {
           const cell = cellResult.value;
+          // The mine that went off keeps its state so it is still drawn as the one that exploded
+          if (cell.isExploded) {
+            continue;
+          }
           const disableResult = cell.disable();
           if (disableResult.isSuccess) {
             disabledCells.push({ cell, position });
@@ -0,0 +1,247 @@
+"use strict";
+
+import { Result } from '../../common/Result.js';
+import { TypeGuards } from '../../common/TypeGuards.js';
+import { GAME_CONSTANTS } from '../../common/GameConstants.js';
+import { NeighborCalculator } from '../../common/NeighborCalculator.js';
+import { Topology } from '../../common/Topology.js';
+
+/**
+ * Constraint building blocks shared by the solver and the probability calculator.
+ * Everything here works on the player-visible view of a board.
+ */
+export class FrontierAnalysis {
+  // Builds the player-visible view of a Board; plain views are validated and passed through
+  static createView(source) {
+    if (source && TypeGuards.isFunction(source.getAllCells)) {
+      return Result.success({
+        bounds: source.bounds,
+        topology: source.topology,
+        cells: source.getAllCells().map(cell => ({
+          position: cell.position,
+          state: cell.state,
+          neighborMineCount: cell.isRevealed ? cell.neighborMineCount : null
+        }))
+      });
+    }
+
+    if (!source || !TypeGuards.isValidBounds(source.bounds) || !Array.isArray(source.cells)) {
+      return Result.failure('Analysis requires a Board or a board view with bounds and cells');
+    }
+
+    if (source.cells.length !== source.bounds.rows * source.bounds.cols) {
+      return Result.failure('Board view must contain exactly one entry per cell');
+    }
+
+    return Result.success(source);
+  }
+
+  // Flattens a view into typed arrays indexed by x * cols + y
+  static createGrid(view) {
+    const { rows, cols } = view.bounds;
+    let topology;
+    try {
+      topology = Topology.from(view.topology);
+    } catch (error) {
+      return Result.failure(error.message);
+    }
+
+    const size = rows * cols;
+    const revealed = new Uint8Array(size);
+    const flagged = new Uint8Array(size);
+    const numbers = new Int16Array(size).fill(-1);
+
+    for (const cellView of view.cells) {
+      if (!TypeGuards.isValidPosition(cellView.position) ||
+          cellView.position.x >= rows || cellView.position.y >= cols) {
+        return Result.failure('Board view contains an invalid cell position');
+      }
+
+      const index = cellView.position.x * cols + cellView.position.y;
+      if (cellView.state === GAME_CONSTANTS.CELL_STATES.FLAGGED) {
+        flagged[index] = 1;
+      }
+      if (cellView.state === GAME_CONSTANTS.CELL_STATES.REVEALED) {
+        if (!TypeGuards.isNumber(cellView.neighborMineCount)) {
+          return Result.failure(`Revealed cell ${cellView.position.x},${cellView.position.y} has no number`);
+        }
+        revealed[index] = 1;
+        numbers[index] = cellView.neighborMineCount;
+      }
+    }
+
+    const neighborCache = new Map();
+    return Result.success({
+      bounds: view.bounds,
+      size,
+      revealed,
+      flagged,
+      numbers,
+      positionOf: (index) => ({ x: Math.floor(index / cols), y: index % cols }),
+      neighborsOf: (index) => {
+        if (!neighborCache.has(index)) {
+          const position = { x: Math.floor(index / cols), y: index % cols };
+          neighborCache.set(index, NeighborCalculator.calculateNeighbors(position, view.bounds, topology)
+            .map(neighbor => neighbor.x * cols + neighbor.y));
+        }
+        return neighborCache.get(index);
+      }
+    });
+  }
+
+  // `known` maps cell index -> { isMine }; known cells are folded into the constraint totals
+  static buildConstraints(grid, known) {
+    const constraints = [];
+
+    for (let cell = 0; cell < grid.size; cell++) {
+      if (grid.numbers[cell] < 0) {
+        continue;
+      }
+
+      const cells = [];
+      let mines = grid.numbers[cell];
+      for (const neighbor of grid.neighborsOf(cell)) {
+        if (grid.revealed[neighbor]) {
+          continue;
+        }
+        if (known.has(neighbor)) {
+          mines -= known.get(neighbor).isMine ? 1 : 0;
+          continue;
+        }
+        cells.push(neighbor);
+      }
+
+      if (cells.length > 0) {
+        constraints.push({ source: cell, cells, mines });
+      }
+    }
+
+    return constraints;
+  }
+
+  static indexConstraintsByCell(constraints) {
+    const index = new Map();
+    for (const constraint of constraints) {
+      for (const cell of constraint.cells) {
+        if (!index.has(cell)) {
+          index.set(cell, []);
+        }
+        index.get(cell).push(constraint);
+      }
+    }
+    return index;
+  }
+
+  // Groups constraints that share unknown cells; cells are listed in discovery order
+  // so that the enumeration below closes constraints as early as possible
+  static splitIntoComponents(constraints) {
+    const constraintsByCell = this.indexConstraintsByCell(constraints);
+    const visited = new Set();
+    const components = [];
+
+    for (const start of constraints) {
+      if (visited.has(start)) {
+        continue;
+      }
+
+      const component = { cells: [], constraints: [] };
+      const seenCells = new Set();
+      const queue = [start];
+      visited.add(start);
+
+      while (queue.length > 0) {
+        const constraint = queue.shift();
+        component.constraints.push(constraint);
+
+        for (const cell of constraint.cells) {
+          if (seenCells.has(cell)) {
+            continue;
+          }
+          seenCells.add(cell);
+          component.cells.push(cell);
+
+          for (const next of constraintsByCell.get(cell)) {
+            if (!visited.has(next)) {
+              visited.add(next);
+              queue.push(next);
+            }
+          }
+        }
+      }
+
+      components.push(component);
+    }
+
+    return components;
+  }
+
+  // Backtracking over every consistent assignment of a component.
+  // Results are grouped by mine count so callers can weigh them against the global total.
+  static enumerateComponent(component, maxSteps) {
+    const { cells, constraints } = component;
+    const cellPositions = new Map(cells.map((cell, i) => [cell, i]));
+    const cellConstraints = cells.map(() => []);
+    constraints.forEach((constraint, i) => {
+      for (const cell of constraint.cells) {
+        cellConstraints[cellPositions.get(cell)].push(i);
+      }
+    });
+
+    const placedMines = new Int32Array(constraints.length);
+    const openCells = Int32Array.from(constraints, constraint => constraint.cells.length);
+    const assignment = new Uint8Array(cells.length);
+    const byMineCount = new Map();
+    let totalMines = 0;
+    let steps = 0;
+    let aborted = false;
+
+    const visit = (i) => {
+      if (++steps > maxSteps) {
+        aborted = true;
+        return;
+      }
+
+      if (i === cells.length) {
+        if (!byMineCount.has(totalMines)) {
+          byMineCount.set(totalMines, { count: 0, cellCounts: new Float64Array(cells.length) });
+        }
+        const totals = byMineCount.get(totalMines);
+        totals.count++;
+        assignment.forEach((value, j) => { totals.cellCounts[j] += value; });
+        return;
+      }
+
+      for (const value of [0, 1]) {
+        const fits = cellConstraints[i].every(ci =>
+          placedMines[ci] + value <= constraints[ci].mines &&
+          placedMines[ci] + value + openCells[ci] - 1 >= constraints[ci].mines);
+        if (!fits) {
+          continue;
+        }
+
+        for (const ci of cellConstraints[i]) {
+          placedMines[ci] += value;
+          openCells[ci]--;
+        }
+        assignment[i] = value;
+        totalMines += value;
+
+        visit(i + 1);
+
+        totalMines -= value;
+        assignment[i] = 0;
+        for (const ci of cellConstraints[i]) {
+          placedMines[ci] -= value;
+          openCells[ci]++;
+        }
+
+        if (aborted) {
+          return;
+        }
+      }
+    };
+
+    visit(0);
+    return { aborted, byMineCount };
+  }
+}
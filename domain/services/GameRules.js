@@ -1,5 +1,8 @@
 "use strict";
 
+import { GAME_CONSTANTS } from '../../common/GameConstants.js';
+import { TOPOLOGY_TYPES, NEIGHBORHOOD_TYPES } from '../../common/Topology.js';
+
 export class GameRules {
   canRevealCell(cell) {
     return cell.canBeRevealed();
@@ -10,52 +13,15 @@ export class GameRules {
   }
 
   isGameWon(board) {
-    // Game is won when all non-mine cells are revealed and all mine cells are flagged or unrevealed
-    for (let x = 0; x < board.bounds.rows; x++) {
-      for (let y = 0; y < board.bounds.cols; y++) {
-        const position = { x, y };
-        const cellResult = board.getCellAt(position);
-        
-        if (cellResult.isFailure) {
-          continue;
-        }
-
-        const cell = cellResult.value;
-        
-        if (cell.containsMine) {
-          // Mine cells can be flagged or hidden, but not revealed (unless exploded)
-          if (cell.isRevealed && !cell.isExploded) {
-            return false;
-          }
-        } else {
-          // Non-mine cells must be revealed
-          if (!cell.isRevealed) {
-            return false;
-          }
-        }
-      }
-    }
-    return true;
+    // Game is won when all non-mine cells are revealed and all mine cells are flagged or unrevealed.
+    // Once every safe cell is open, any further revealed cell would be a mine.
+    const safeCells = board.bounds.rows * board.bounds.cols - board.mineCount;
+    return board.unrevealedSafeCount === 0 && board.revealedCount === safeCells;
   }
 
   isGameLost(board) {
     // Game is lost when any mine cell is exploded
-    for (let x = 0; x < board.bounds.rows; x++) {
-      for (let y = 0; y < board.bounds.cols; y++) {
-        const position = { x, y };
-        const cellResult = board.getCellAt(position);
-        
-        if (cellResult.isFailure) {
-          continue;
-        }
-
-        const cell = cellResult.value;
-        if (cell.containsMine && cell.isExploded) {
-          return true;
-        }
-      }
-    }
-    return false;
+    return board.explodedCount > 0;
   }
 
   isValidMineCount(mineCount, totalCells) {
@@ -63,13 +29,19 @@ export class GameRules {
   }
 
   isValidBoardSize(rows, cols) {
-    const MIN_SIZE = 5;
-    const MAX_SIZE = 100;
+    const { MIN_SIZE, MAX_SIZE } = GAME_CONSTANTS.BOARD_LIMITS;
     
     return rows >= MIN_SIZE && rows <= MAX_SIZE &&
            cols >= MIN_SIZE && cols <= MAX_SIZE;
   }
 
+  isValidMineDensity(mineCount, totalCells) {
+    const { MIN, MAX } = GAME_CONSTANTS.MINE_PERCENTAGE;
+    const percentage = (mineCount / totalCells) * 100;
+    
+    return percentage >= MIN && percentage <= MAX;
+  }
+
   calculateOptimalMineCount(rows, cols, percentage = 15) {
     const totalCells = rows * cols;
     const mineCount = Math.floor((totalCells * percentage) / 100);
@@ -85,9 +57,21 @@ export class GameRules {
       errors.push('Invalid board size');
     }
 
+    // Odd-r hex rows alternate their offset, so a vertical wrap needs an even row count
+    if (config.wrap && config.topology === TOPOLOGY_TYPES.HEX && config.rows % 2 !== 0) {
+      errors.push('Wrapped hex boards need an even number of rows');
+    }
+    if (config.topology === TOPOLOGY_TYPES.HEX && (config.neighborhood ?? NEIGHBORHOOD_TYPES.STANDARD) !== NEIGHBORHOOD_TYPES.STANDARD) {
+      errors.push('Hex boards only support the standard neighborhood');
+    }
+
     const totalCells = config.rows * config.cols;
     if (!this.isValidMineCount(config.minesNumber, totalCells)) {
       errors.push('Invalid mine count');
+    } else if (!config.mineLayout && !this.isValidMineDensity(config.minesNumber, totalCells)) {
+      // Hand-made layouts (imports, replays) may use any density
+      const { MIN, MAX } = GAME_CONSTANTS.MINE_PERCENTAGE;
+      errors.push(`Mines must cover ${MIN}-${MAX}% of the board`);
     }
 
     return {
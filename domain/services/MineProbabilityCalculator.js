@@ -0,0 +1,229 @@
+"use strict";
+
+import { Result } from '../../common/Result.js';
+import { TypeGuards } from '../../common/TypeGuards.js';
+import { FrontierAnalysis } from './FrontierAnalysis.js';
+
+/**
+ * Mine probability for every hidden cell, from the revealed numbers and the
+ * remaining mine count (total mines minus flags, so flags are taken as mines).
+ * Frontier components are enumerated exactly while they stay small enough;
+ * larger ones fall back to a local density estimate.
+ */
+export class MineProbabilityCalculator {
+  #maxExactComponentSize;
+  #maxEnumerationSteps;
+
+  constructor(options = {}) {
+    this.#maxExactComponentSize = options.maxExactComponentSize ?? 30;
+    this.#maxEnumerationSteps = options.maxEnumerationSteps ?? 100000;
+  }
+
+  calculate(source, remainingMines) {
+    if (!TypeGuards.isNumber(remainingMines)) {
+      return Result.failure('Remaining mine count must be a number');
+    }
+
+    const viewResult = FrontierAnalysis.createView(source);
+    if (viewResult.isFailure) {
+      return viewResult;
+    }
+
+    const gridResult = FrontierAnalysis.createGrid(viewResult.value);
+    if (gridResult.isFailure) {
+      return gridResult;
+    }
+
+    const grid = gridResult.value;
+    const flags = new Map();
+    for (let cell = 0; cell < grid.size; cell++) {
+      if (grid.flagged[cell]) {
+        flags.set(cell, { isMine: true });
+      }
+    }
+
+    const constraints = FrontierAnalysis.buildConstraints(grid, flags);
+    const components = FrontierAnalysis.splitIntoComponents(constraints);
+    const frontier = new Set(components.flatMap(component => component.cells));
+
+    const openCells = [];
+    for (let cell = 0; cell < grid.size; cell++) {
+      if (!grid.revealed[cell] && !grid.flagged[cell] && !frontier.has(cell)) {
+        openCells.push(cell);
+      }
+    }
+
+    const exactComponents = [];
+    const estimatedComponents = [];
+    for (const component of components) {
+      const enumeration = component.cells.length <= this.#maxExactComponentSize
+        ? FrontierAnalysis.enumerateComponent(component, this.#maxEnumerationSteps)
+        : null;
+
+      if (enumeration && !enumeration.aborted && enumeration.byMineCount.size > 0) {
+        exactComponents.push({ component, distribution: normalizeDistribution(enumeration.byMineCount) });
+      } else {
+        estimatedComponents.push(component);
+      }
+    }
+
+    const probabilities = new Map();
+    let estimatedMines = 0;
+    for (const component of estimatedComponents) {
+      for (const [cell, probability] of estimateComponent(component)) {
+        probabilities.set(cell, { probability, exact: false });
+        estimatedMines += probability;
+      }
+    }
+
+    const exactMines = remainingMines - Math.round(estimatedMines);
+    const combined = combineComponents(exactComponents, openCells.length, exactMines);
+
+    if (combined) {
+      for (const [cell, probability] of combined.cells) {
+        probabilities.set(cell, { probability, exact: estimatedComponents.length === 0 });
+      }
+      for (const cell of openCells) {
+        probabilities.set(cell, { probability: combined.openProbability, exact: estimatedComponents.length === 0 });
+      }
+    } else {
+      // Inconsistent with the mine count (typically misplaced flags) - estimate everything
+      let frontierMines = estimatedMines;
+      for (const { component } of exactComponents) {
+        for (const [cell, probability] of estimateComponent(component)) {
+          probabilities.set(cell, { probability, exact: false });
+          frontierMines += probability;
+        }
+      }
+      const openProbability = openCells.length > 0
+        ? clamp((remainingMines - frontierMines) / openCells.length)
+        : 0;
+      for (const cell of openCells) {
+        probabilities.set(cell, { probability: openProbability, exact: false });
+      }
+    }
+
+    const cells = Array.from(probabilities, ([cell, entry]) => ({
+      position: grid.positionOf(cell),
+      probability: entry.probability,
+      exact: entry.exact
+    }));
+
+    return Result.success({
+      cells,
+      exact: cells.every(entry => entry.exact)
+    });
+  }
+}
+
+// Rescales solution counts so products over many components stay within float range;
+// the common factor cancels out of every probability.
+function normalizeDistribution(byMineCount) {
+  const largest = Math.max(...Array.from(byMineCount.values(), totals => totals.count));
+  const distribution = new Map();
+  for (const [mines, totals] of byMineCount) {
+    distribution.set(mines, {
+      count: totals.count / largest,
+      cellCounts: totals.cellCounts.map(count => count / largest)
+    });
+  }
+  return distribution;
+}
+
+function convolve(left, right) {
+  const result = new Map();
+  for (const [leftMines, leftCount] of left) {
+    for (const [rightMines, rightCount] of right) {
+      const mines = leftMines + rightMines;
+      result.set(mines, (result.get(mines) ?? 0) + leftCount * rightCount);
+    }
+  }
+  return result;
+}
+
+function combineComponents(exactComponents, openCellCount, remainingMines) {
+  const counts = exactComponents.map(({ distribution }) =>
+    new Map(Array.from(distribution, ([mines, totals]) => [mines, totals.count])));
+
+  // prefix[i] covers components before i, suffix[i] those from i on
+  const prefix = [new Map([[0, 1]])];
+  counts.forEach((count, i) => prefix.push(convolve(prefix[i], count)));
+  const suffix = new Array(counts.length + 1);
+  suffix[counts.length] = new Map([[0, 1]]);
+  for (let i = counts.length - 1; i >= 0; i--) {
+    suffix[i] = convolve(counts[i], suffix[i + 1]);
+  }
+
+  // Ways to place the leftover mines in the open (unconstrained) cells, in log space
+  const logWeights = new Map();
+  for (const mines of prefix[counts.length].keys()) {
+    const leftover = remainingMines - mines;
+    if (leftover >= 0 && leftover <= openCellCount) {
+      logWeights.set(mines, logBinomial(openCellCount, leftover));
+    }
+  }
+  if (logWeights.size === 0) {
+    return null;
+  }
+
+  const maxLogWeight = Math.max(...logWeights.values());
+  const weight = (mines) => logWeights.has(mines) ? Math.exp(logWeights.get(mines) - maxLogWeight) : 0;
+
+  let total = 0;
+  let openMines = 0;
+  for (const [mines, count] of prefix[counts.length]) {
+    total += count * weight(mines);
+    openMines += count * weight(mines) * (remainingMines - mines);
+  }
+  if (total === 0) {
+    return null;
+  }
+
+  const cells = new Map();
+  exactComponents.forEach(({ component, distribution }, i) => {
+    const others = convolve(prefix[i], suffix[i + 1]);
+    const cellMines = new Float64Array(component.cells.length);
+
+    for (const [mines, totals] of distribution) {
+      let otherWeight = 0;
+      for (const [otherMines, otherCount] of others) {
+        otherWeight += otherCount * weight(mines + otherMines);
+      }
+      totals.cellCounts.forEach((count, j) => { cellMines[j] += count * otherWeight; });
+    }
+
+    component.cells.forEach((cell, j) => cells.set(cell, clamp(cellMines[j] / total)));
+  });
+
+  return {
+    cells,
+    openProbability: openCellCount > 0 ? clamp(openMines / total / openCellCount) : 0
+  };
+}
+
+// Average of the mine density of every constraint touching the cell
+function estimateComponent(component) {
+  const sums = new Map();
+  for (const constraint of component.constraints) {
+    const density = constraint.mines / constraint.cells.length;
+    for (const cell of constraint.cells) {
+      const entry = sums.get(cell) ?? { total: 0, count: 0 };
+      entry.total += density;
+      entry.count++;
+      sums.set(cell, entry);
+    }
+  }
+  return new Map(Array.from(sums, ([cell, entry]) => [cell, clamp(entry.total / entry.count)]));
+}
+
+function logBinomial(n, k) {
+  let result = 0;
+  for (let i = 1; i <= k; i++) {
+    result += Math.log(n - k + i) - Math.log(i);
+  }
+  return result;
+}
+
+function clamp(probability) {
+  return Math.min(1, Math.max(0, probability));
+}
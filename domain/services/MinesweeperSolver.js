@@ -0,0 +1,198 @@
+"use strict";
+
+import { Result } from '../../common/Result.js';
+import { TypeGuards } from '../../common/TypeGuards.js';
+import { FrontierAnalysis } from './FrontierAnalysis.js';
+
+export const SOLVER_RULES = Object.freeze({
+  SINGLE: 'single',
+  SUBSET: 'subset',
+  CONSTRAINT_SET: 'constraint_set',
+  GLOBAL: 'global'
+});
+
+/**
+ * Deterministic solver working only from what a player can see:
+ * cell states and the numbers on revealed cells. Mine placement is never read.
+ */
+export class MinesweeperSolver {
+  #maxComponentSize;
+  #maxEnumerationSteps;
+
+  constructor(options = {}) {
+    this.#maxComponentSize = options.maxComponentSize ?? 32;
+    this.#maxEnumerationSteps = options.maxEnumerationSteps ?? 200000;
+  }
+
+  // Builds the player-visible view of a Board; plain views are validated and passed through
+  createView(source) {
+    return FrontierAnalysis.createView(source);
+  }
+
+  solve(source, options = {}) {
+    const viewResult = this.createView(source);
+    if (viewResult.isFailure) {
+      return viewResult;
+    }
+
+    const gridResult = FrontierAnalysis.createGrid(viewResult.value);
+    if (gridResult.isFailure) {
+      return gridResult;
+    }
+
+    const grid = gridResult.value;
+    const known = new Map(); // cell index -> deduction
+    const mineCount = TypeGuards.isNumber(options.mineCount) ? options.mineCount : null;
+
+    let progress = true;
+    while (progress) {
+      const constraints = FrontierAnalysis.buildConstraints(grid, known);
+      progress = this.#applySingleRules(grid, constraints, known) ||
+                 this.#applySubsetRules(grid, constraints, known) ||
+                 this.#applyConstraintSets(grid, constraints, known, mineCount) ||
+                 this.#applyGlobalRule(grid, known, mineCount);
+    }
+
+    const deductions = Array.from(known.values());
+    return Result.success({
+      safe: deductions.filter(deduction => !deduction.isMine),
+      mines: deductions.filter(deduction => deduction.isMine),
+      deductions
+    });
+  }
+
+  #applySingleRules(grid, constraints, known) {
+    let progress = false;
+
+    for (const constraint of constraints) {
+      if (constraint.mines !== 0 && constraint.mines !== constraint.cells.length) {
+        continue;
+      }
+
+      const isMine = constraint.mines > 0;
+      for (const cell of constraint.cells) {
+        progress = addDeduction(grid, known, cell, isMine, SOLVER_RULES.SINGLE, [constraint.source]) || progress;
+      }
+    }
+
+    return progress;
+  }
+
+  #applySubsetRules(grid, constraints, known) {
+    const constraintsByCell = FrontierAnalysis.indexConstraintsByCell(constraints);
+    let progress = false;
+
+    for (const subset of constraints) {
+      // Any superset must also contain the subset's first cell
+      for (const superset of constraintsByCell.get(subset.cells[0])) {
+        if (superset === subset || superset.cells.length <= subset.cells.length) {
+          continue;
+        }
+
+        const supersetCells = new Set(superset.cells);
+        if (!subset.cells.every(cell => supersetCells.has(cell))) {
+          continue;
+        }
+
+        const subsetCells = new Set(subset.cells);
+        const difference = superset.cells.filter(cell => !subsetCells.has(cell));
+        const differenceMines = superset.mines - subset.mines;
+
+        if (differenceMines !== 0 && differenceMines !== difference.length) {
+          continue;
+        }
+
+        for (const cell of difference) {
+          progress = addDeduction(grid, known, cell, differenceMines > 0, SOLVER_RULES.SUBSET,
+            [subset.source, superset.source]) || progress;
+        }
+      }
+    }
+
+    return progress;
+  }
+
+  #applyConstraintSets(grid, constraints, known, mineCount) {
+    const remainingMines = mineCount === null ? Infinity : mineCount - countKnownMines(known);
+    let progress = false;
+
+    for (const component of FrontierAnalysis.splitIntoComponents(constraints)) {
+      if (component.cells.length > this.#maxComponentSize) {
+        continue;
+      }
+
+      const enumeration = FrontierAnalysis.enumerateComponent(component, this.#maxEnumerationSteps);
+      if (enumeration.aborted) {
+        continue;
+      }
+
+      let solutionCount = 0;
+      const cellMineCounts = new Float64Array(component.cells.length);
+      for (const [mines, totals] of enumeration.byMineCount) {
+        if (mines > remainingMines) {
+          continue;
+        }
+        solutionCount += totals.count;
+        totals.cellCounts.forEach((count, i) => { cellMineCounts[i] += count; });
+      }
+
+      if (solutionCount === 0) {
+        continue;
+      }
+
+      const sources = component.constraints.map(constraint => constraint.source);
+      component.cells.forEach((cell, i) => {
+        if (cellMineCounts[i] === 0 || cellMineCounts[i] === solutionCount) {
+          progress = addDeduction(grid, known, cell, cellMineCounts[i] > 0, SOLVER_RULES.CONSTRAINT_SET, sources) || progress;
+        }
+      });
+    }
+
+    return progress;
+  }
+
+  #applyGlobalRule(grid, known, mineCount) {
+    if (mineCount === null) {
+      return false;
+    }
+
+    const unknownCells = [];
+    for (let cell = 0; cell < grid.size; cell++) {
+      if (!grid.revealed[cell] && !known.has(cell)) {
+        unknownCells.push(cell);
+      }
+    }
+
+    const remainingMines = mineCount - countKnownMines(known);
+    if (unknownCells.length === 0 || (remainingMines !== 0 && remainingMines !== unknownCells.length)) {
+      return false;
+    }
+
+    for (const cell of unknownCells) {
+      addDeduction(grid, known, cell, remainingMines > 0, SOLVER_RULES.GLOBAL, []);
+    }
+    return true;
+  }
+}
+
+function countKnownMines(known) {
+  let count = 0;
+  for (const deduction of known.values()) {
+    count += deduction.isMine ? 1 : 0;
+  }
+  return count;
+}
+
+function addDeduction(grid, known, cell, isMine, rule, sources) {
+  if (known.has(cell)) {
+    return false;
+  }
+
+  known.set(cell, {
+    position: grid.positionOf(cell),
+    isMine,
+    rule,
+    sources: sources.map(source => grid.positionOf(source))
+  });
+  return true;
+}
@@ -5,7 +5,7 @@ import { TypeGuards } from '../../common/TypeGuards.js';
 import { Result } from '../../common/Result.js';
 
 export class NeighborService {
-  static calculateNeighborPositions(position, bounds) {
+  static calculateNeighborPositions(position, bounds, topology) {
     if (!TypeGuards.isValidPosition(position)) {
       return Result.failure('Invalid position provided');
     }
@@ -14,7 +14,7 @@ export class NeighborService {
     }
 
     try {
-      const neighbors = NeighborCalculator.calculateNeighbors(position, bounds);
+      const neighbors = NeighborCalculator.calculateNeighbors(position, bounds, topology);
       return Result.success(neighbors);
     } catch (error) {
       return Result.failure(error.message);
@@ -22,7 +22,7 @@ export class NeighborService {
   }
 
   static getNeighborCells(board, position) {
-    const neighborsResult = this.calculateNeighborPositions(position, board.bounds);
+    const neighborsResult = this.calculateNeighborPositions(position, board.bounds, board.topology);
     if (neighborsResult.isFailure) {
       return neighborsResult;
     }
@@ -78,7 +78,7 @@ export class NeighborService {
           continue;
         }
 
-        const setCountResult = cell.setNeighborMineCount(mineCountResult.value);
+        const setCountResult = cell.setNeighborMineCount(mineCountResult.value, neighborsResult.value.length);
         results.push(setCountResult);
       }
     }
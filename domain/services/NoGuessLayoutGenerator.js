@@ -0,0 +1,141 @@
+"use strict";
+
+import { Result } from '../../common/Result.js';
+import { TypeGuards } from '../../common/TypeGuards.js';
+import { NeighborService } from './NeighborService.js';
+
+export const NO_GUESS_FALLBACK_REASONS = Object.freeze({
+  DENSITY_TOO_HIGH: 'density_too_high',
+  BOARD_TOO_LARGE: 'board_too_large',
+  ATTEMPT_LIMIT: 'attempt_limit',
+  TIME_BUDGET: 'time_budget'
+});
+
+const PLAY_OUT = Object.freeze({
+  SOLVED: 'solved',
+  STUCK: 'stuck',
+  OUT_OF_TIME: 'out_of_time'
+});
+
+/**
+ * Regenerates mine layouts until the solver can clear the board from the first click.
+ * Each candidate is played out on a scratch board, so the live board is never touched.
+ */
+export class NoGuessLayoutGenerator {
+  #solver;
+  #cellInteractionService;
+  #boardFactory;
+  #options;
+
+  constructor(solver, cellInteractionService, boardFactory, options = {}) {
+    this.#solver = solver;
+    this.#cellInteractionService = cellInteractionService;
+    this.#boardFactory = boardFactory;
+    this.#options = Object.freeze({
+      maxAttempts: 250,
+      timeBudgetMs: 2000,
+      maxDensity: 0.22,
+      maxCells: 2500,
+      clock: () => Date.now(),
+      ...options
+    });
+  }
+
+  // Each `createLayout()` call produces one candidate list of mine positions
+  generate(config, firstClickPos, createLayout) {
+    if (!TypeGuards.isFunction(createLayout)) {
+      return Result.failure('Layout factory must be a function');
+    }
+
+    const { maxAttempts, timeBudgetMs, maxDensity, maxCells } = this.#options;
+    const fallback = (positions, attempts, reason) => Result.success({
+      positions,
+      solved: false,
+      attempts,
+      reason
+    });
+
+    if (config.minesNumber / config.totalNumber > maxDensity) {
+      return fallback(createLayout(), 1, NO_GUESS_FALLBACK_REASONS.DENSITY_TOO_HIGH);
+    }
+    if (config.totalNumber > maxCells) {
+      return fallback(createLayout(), 1, NO_GUESS_FALLBACK_REASONS.BOARD_TOO_LARGE);
+    }
+
+    // The time budget makes the attempt count machine dependent; replays and saves
+    // therefore store the final layout rather than relying on the seed alone.
+    const deadline = this.#options.clock() + timeBudgetMs;
+    let positions = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      positions = createLayout();
+
+      const playOutResult = this.#playOut(config, positions, firstClickPos, deadline);
+      if (playOutResult.isFailure) {
+        return playOutResult;
+      }
+      if (playOutResult.value === PLAY_OUT.SOLVED) {
+        return Result.success({ positions, solved: true, attempts: attempt, reason: null });
+      }
+
+      // The candidate is still a regular layout with a safe first click
+      if (playOutResult.value === PLAY_OUT.OUT_OF_TIME || this.#options.clock() > deadline) {
+        return fallback(positions, attempt, NO_GUESS_FALLBACK_REASONS.TIME_BUDGET);
+      }
+    }
+
+    return fallback(positions, maxAttempts, NO_GUESS_FALLBACK_REASONS.ATTEMPT_LIMIT);
+  }
+
+  isSolvable(config, minePositions, firstClickPos) {
+    return this.#playOut(config, minePositions, firstClickPos, Infinity)
+      .map(outcome => outcome === PLAY_OUT.SOLVED);
+  }
+
+  // Plays the layout with the solver; the deadline is checked before every solver pass
+  #playOut(config, minePositions, firstClickPos, deadline) {
+    const board = this.#boardFactory(config);
+
+    const placeResult = board.placeMines(minePositions);
+    if (placeResult.isFailure) {
+      return placeResult;
+    }
+
+    const countsResult = NeighborService.calculateMineCountsForBoard(board);
+    if (countsResult.isFailure) {
+      return countsResult;
+    }
+
+    const firstRevealResult = this.#cellInteractionService.revealCell(board, firstClickPos);
+    if (firstRevealResult.isFailure) {
+      return firstRevealResult;
+    }
+    if (firstRevealResult.value.type === 'explosion') {
+      return Result.success(PLAY_OUT.STUCK);
+    }
+
+    const safeCells = board.getNonMineCells();
+    while (!safeCells.every(cell => cell.isRevealed)) {
+      if (this.#options.clock() > deadline) {
+        return Result.success(PLAY_OUT.OUT_OF_TIME);
+      }
+
+      const solveResult = this.#solver.solve(board, { mineCount: minePositions.length });
+      if (solveResult.isFailure) {
+        return solveResult;
+      }
+
+      const hiddenSafe = solveResult.value.safe
+        .filter(deduction => board.getCellAt(deduction.position).value.isHidden);
+      if (hiddenSafe.length === 0) {
+        return Result.success(PLAY_OUT.STUCK);
+      }
+
+      for (const deduction of hiddenSafe) {
+        this.#cellInteractionService.revealCell(board, deduction.position);
+      }
+    }
+
+    return Result.success(PLAY_OUT.SOLVED);
+  }
+}
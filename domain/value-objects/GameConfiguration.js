@@ -1,7 +1,11 @@
 "use strict";
 
+import { TOPOLOGY_TYPES, NEIGHBORHOOD_TYPES } from '../../common/Topology.js';
+import { SeededRandom } from '../../common/SeededRandom.js';
+import { TypeGuards } from '../../common/TypeGuards.js';
+
 export class Config {
-  constructor(rows, cols, minesPercentage) {
+  constructor(rows, cols, minesPercentage, options = {}) {
     if ((rows || 0) < 5) {
       throw new Error('The number of rows must be greater than 5');
     }
@@ -10,17 +14,60 @@ export class Config {
       throw new Error('The number of columns must be greater than 5');
     }
 
-    if ((minesPercentage || 0) === 0) {
+    // An explicit mine count (e.g. the standard 16x30/99 Expert board) takes precedence over the percentage
+    const hasMineCount = options.minesNumber !== undefined && options.minesNumber !== null;
+
+    if (hasMineCount && (!Number.isInteger(options.minesNumber) || options.minesNumber <= 0)) {
+      throw new Error('The number of mines must be a positive integer');
+    }
+
+    if (!hasMineCount && (minesPercentage || 0) === 0) {
       throw new Error('The percentage of mines must be greater than zero');
     }
 
     this._rows = rows;
     this._cols = cols;
-    this._minesPercentage = minesPercentage;
 
     this._totalNumber = this._rows * this._cols;
-    this._minesNumber = Math.round(this._totalNumber * (this._minesPercentage / 100));
+    if (hasMineCount) {
+      this._minesNumber = options.minesNumber;
+      this._minesPercentage = (this._minesNumber / this._totalNumber) * 100;
+    } else {
+      this._minesPercentage = minesPercentage;
+      this._minesNumber = Math.round(this._totalNumber * (this._minesPercentage / 100));
+    }
+
+    // A fixed layout (replays, imported boards) replaces random placement and defines the mine count
+    this._mineLayout = null;
+    if (options.mineLayout) {
+      if (!Array.isArray(options.mineLayout) || options.mineLayout.length >= this._totalNumber) {
+        throw new Error('The mine layout must be a list of fewer positions than there are cells');
+      }
+      this._mineLayout = Object.freeze(options.mineLayout.map(({ x, y }) => Object.freeze({ x, y })));
+      this._minesNumber = this._mineLayout.length;
+    }
+
     this._emptyNumber = this._totalNumber - this._minesNumber;
+    this._questionMarks = Boolean(options.questionMarks);
+    // A blank seed (an empty ?seed= or --seed "") asks for a random layout like no seed at all
+    const seed = TypeGuards.isString(options.seed) && options.seed.trim() === '' ? null : options.seed ?? null;
+    if (seed !== null && !SeededRandom.isValidSeed(seed)) {
+      throw new Error('The seed must be an integer or a non-empty text');
+    }
+    this._seed = seed;
+    this._noGuess = Boolean(options.noGuess);
+    this._practiceMode = Boolean(options.practiceMode);
+
+    this._topology = options.topology ?? TOPOLOGY_TYPES.SQUARE;
+    if (!Object.values(TOPOLOGY_TYPES).includes(this._topology)) {
+      throw new Error(`Unknown board topology '${this._topology}'`);
+    }
+    this._wrap = Boolean(options.wrap);
+
+    this._neighborhood = options.neighborhood ?? NEIGHBORHOOD_TYPES.STANDARD;
+    if (!Object.values(NEIGHBORHOOD_TYPES).includes(this._neighborhood)) {
+      throw new Error(`Unknown neighborhood '${this._neighborhood}'`);
+    }
   }
 
   get rows() {
@@ -46,4 +93,36 @@ export class Config {
   get emptyNumber() {
     return this._emptyNumber;
   }
+
+  get questionMarks() {
+    return this._questionMarks;
+  }
+
+  get seed() {
+    return this._seed;
+  }
+
+  get noGuess() {
+    return this._noGuess;
+  }
+
+  get practiceMode() {
+    return this._practiceMode;
+  }
+
+  get mineLayout() {
+    return this._mineLayout;
+  }
+
+  get topology() {
+    return this._topology;
+  }
+
+  get wrap() {
+    return this._wrap;
+  }
+
+  get neighborhood() {
+    return this._neighborhood;
+  }
 }
\ No newline at end of file
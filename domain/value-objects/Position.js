@@ -48,8 +48,8 @@ export class Position {
     return deltaX <= 1 && deltaY <= 1 && (deltaX > 0 || deltaY > 0);
   }
 
-  getNeighborPositions(bounds) {
-    return NeighborCalculator.calculateNeighbors(this, bounds)
+  getNeighborPositions(bounds, topology) {
+    return NeighborCalculator.calculateNeighbors(this, bounds, topology)
       .map(({ x, y }) => new Position(x, y));
   }
 
@@ -22,6 +22,10 @@ export class GameOverService {
     this.#wrongFlaggedCells.clear();
   }
 
+  restoreWrongFlags(cellIds) {
+    this.#wrongFlaggedCells = new Set(cellIds);
+  }
+
   getWrongFlaggedCells() {
     return Array.from(this.#wrongFlaggedCells);
   }
@@ -1,33 +1,101 @@
+"use strict";
+
+const defaultClock = () => performance.now();
+
+/**
+ * Stopwatch on a monotonic clock. Elapsed time is kept in milliseconds and
+ * only accumulates while running; tick listeners get whole seconds as they change.
+ */
 export class GameTimer {
-  constructor(onTick) {
-    this._interval = null;
-    this._seconds = 0;
-    this._onTick = onTick;
+  #clock;
+  #accumulated = 0;
+  #runningSince = null;
+  #tickTimeout = null;
+  #tickListeners = new Set();
+
+  constructor({ clock = defaultClock } = {}) {
+    this.#clock = clock;
+  }
+
+  get elapsed() {
+    return this.#runningSince === null
+      ? this.#accumulated
+      : this.#accumulated + this.#clock() - this.#runningSince;
+  }
+
+  get seconds() {
+    return Math.floor(this.elapsed / 1000);
+  }
+
+  get isRunning() {
+    return this.#runningSince !== null;
+  }
+
+  // Returns an unsubscribe function
+  onTick(listener) {
+    this.#tickListeners.add(listener);
+    if (this.isRunning && this.#tickTimeout === null) {
+      this.#scheduleTick();
+    }
+    return () => {
+      this.#tickListeners.delete(listener);
+      if (this.#tickListeners.size === 0) this.#cancelTick();
+    };
   }
 
   start() {
     this.stop();
-    this._seconds = 0;
-    this._interval = setInterval(() => {
-      this._seconds++;
-      if (this._onTick) this._onTick(this._seconds);
-    }, 1000);
+    this.#accumulated = 0;
+    this.resume();
+  }
+
+  // Continues counting from the current value instead of restarting at 0
+  resume() {
+    if (this.isRunning) return;
+    this.#runningSince = this.#clock();
+    this.#notify();
+    this.#scheduleTick();
   }
 
   stop() {
-    if (this._interval) {
-      clearInterval(this._interval);
-      this._interval = null;
-    }
+    if (!this.isRunning) return;
+    this.#accumulated = this.elapsed;
+    this.#runningSince = null;
+    this.#cancelTick();
+  }
+
+  // Continues a saved game from its elapsed time
+  restore(elapsed) {
+    this.stop();
+    this.#accumulated = elapsed;
+    this.resume();
   }
 
   reset() {
     this.stop();
-    this._seconds = 0;
-    if (this._onTick) this._onTick(this._seconds);
+    this.#accumulated = 0;
+    this.#notify();
   }
 
-  get seconds() {
-    return this._seconds;
+  // Fires just after each whole second instead of drifting with a fixed interval.
+  // Without listeners nothing is scheduled, so an unwatched timer holds no pending callbacks.
+  #scheduleTick() {
+    if (this.#tickListeners.size === 0) return;
+    this.#tickTimeout = setTimeout(() => {
+      this.#notify();
+      this.#scheduleTick();
+    }, 1000 - this.elapsed % 1000);
+  }
+
+  #cancelTick() {
+    clearTimeout(this.#tickTimeout);
+    this.#tickTimeout = null;
+  }
+
+  #notify() {
+    const seconds = this.seconds;
+    for (const listener of this.#tickListeners) {
+      listener(seconds);
+    }
   }
-}
\ No newline at end of file
+}
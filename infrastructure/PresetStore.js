@@ -0,0 +1,65 @@
+"use strict";
+
+import { Result } from '../common/Result.js';
+import { TypeGuards } from '../common/TypeGuards.js';
+
+const MAX_NAME_LENGTH = 24;
+const RESERVED_NAMES = ['beginner', 'intermediate', 'expert'];
+
+// Player-defined board presets ({ name, rows, cols, minesNumber }) kept in localStorage
+export class PresetStore {
+  #storage;
+  #key;
+
+  constructor(storage = localStorage, key = 'customPresets') {
+    this.#storage = storage;
+    this.#key = key;
+  }
+
+  list() {
+    try {
+      const presets = JSON.parse(this.#storage.getItem(this.#key) ?? '[]');
+      return Array.isArray(presets) ? presets.filter(isPreset) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // Saving under an existing name replaces that preset
+  save({ name, rows, cols, minesNumber }) {
+    const trimmedName = TypeGuards.isString(name) ? name.trim() : '';
+    if (trimmedName.length === 0 || trimmedName.length > MAX_NAME_LENGTH) {
+      return Result.failure(`Preset name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    if (RESERVED_NAMES.includes(trimmedName.toLowerCase())) {
+      return Result.failure(`'${trimmedName}' is a built-in level`);
+    }
+
+    const preset = { name: trimmedName, rows, cols, minesNumber };
+    if (!isPreset(preset)) {
+      return Result.failure('Preset needs whole-number rows, columns and mines');
+    }
+
+    const presets = this.list().filter(existing => existing.name !== trimmedName);
+    presets.push(preset);
+    this.#storage.setItem(this.#key, JSON.stringify(presets));
+    return Result.success(preset);
+  }
+
+  remove(name) {
+    const presets = this.list();
+    const remaining = presets.filter(preset => preset.name !== name);
+    if (remaining.length === presets.length) {
+      return Result.failure(`No preset named '${name}'`);
+    }
+
+    this.#storage.setItem(this.#key, JSON.stringify(remaining));
+    return Result.success(name);
+  }
+}
+
+function isPreset(preset) {
+  return TypeGuards.isObject(preset) &&
+         TypeGuards.isString(preset.name) &&
+         [preset.rows, preset.cols, preset.minesNumber].every(value => Number.isInteger(value) && value > 0);
+}
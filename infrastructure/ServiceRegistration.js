@@ -5,25 +5,45 @@ import { EventBus } from '../common/EventBus.js';
 import { GameRules } from '../domain/services/GameRules.js';
 import { CellInteractionService } from '../domain/services/CellInteractionService.js';
 import { NeighborService } from '../domain/services/NeighborService.js';
+import { MinesweeperSolver } from '../domain/services/MinesweeperSolver.js';
+import { NoGuessLayoutGenerator } from '../domain/services/NoGuessLayoutGenerator.js';
+import { MineProbabilityCalculator } from '../domain/services/MineProbabilityCalculator.js';
+import { BoardTextFormat } from '../domain/services/BoardTextFormat.js';
+import { BoardAnalysisService } from '../domain/services/BoardAnalysisService.js';
 import { Board } from '../domain/entities/Board.js';
 import { Cell } from '../domain/entities/Cell.js';
 import { Position } from '../domain/value-objects/Position.js';
+import { SeededRandom } from '../common/SeededRandom.js';
+import { Topology } from '../common/Topology.js';
 import { MinesweeperGameService } from '../application/MinesweeperGameService.js';
 import { CellRenderer } from '../presentation/CellRenderer.js';
 import { GameOverService } from './GameOverService.js';
+import { GameTimer } from './GameTimer.js';
 import { GAME_CONSTANTS } from '../common/GameConstants.js';
 import { Result } from '../common/Result.js';
 
+// Each front end registers its logger with registerDevelopmentServices or registerProductionServices
 export function createContainer() {
   const container = new Container();
   
   // Core infrastructure
   container.register('eventBus', () => new EventBus(), { singleton: true });
   container.register('gameOverService', () => new GameOverService(), { singleton: true });
+  // Any object exposing `seed` and `nextInt(max)` can replace the default PRNG
+  // Without a usable seed a fresh one is drawn; Config rejects malformed seeds before they get here
+  container.register('randomFactory', () => (seed) => new SeededRandom(SeededRandom.isValidSeed(seed) ? seed : undefined), { singleton: true });
+  container.register('timerFactory', () => () => new GameTimer(), { singleton: true });
   
   // Domain services
   container.register('gameRules', () => new GameRules(), { singleton: true });
   container.register('neighborService', () => new NeighborService(), { singleton: true });
+  container.register('solver', () => new MinesweeperSolver(), { singleton: true });
+  container.register('mineProbabilityCalculator', () => new MineProbabilityCalculator(), { singleton: true });
+  container.register('boardAnalysisService', () => new BoardAnalysisService(), { singleton: true });
+  container.register('boardTextFormat', (gameRules) => new BoardTextFormat(gameRules), {
+    dependencies: ['gameRules'],
+    singleton: true
+  });
   container.register('cellInteractionService', (gameRules) => new CellInteractionService(gameRules), { 
     dependencies: ['gameRules'] 
   });
@@ -43,45 +63,83 @@ export function createContainer() {
         const cell = new Cell(cellId, false, position);
         return cell;
       };
-      return new Board(bounds, cellFactory);
+      return new Board(bounds, cellFactory, Topology.from({
+        type: config.topology,
+        wrap: config.wrap,
+        neighborhood: config.neighborhood
+      }));
     };
   }, { singleton: true });
   
+  container.register('noGuessLayoutGenerator', (solver, cellInteractionService, boardFactory) => {
+    return new NoGuessLayoutGenerator(solver, cellInteractionService, boardFactory);
+  }, {
+    dependencies: ['solver', 'cellInteractionService', 'boardFactory'],
+    singleton: true
+  });
+  
   // Game service factory
-  container.register('gameServiceFactory', (boardFactory, gameRules, cellInteractionService, eventBus, gameOverService) => {
-    return (config) => {
+  container.register('gameServiceFactory', (boardFactory, gameRules, cellInteractionService, eventBus, gameOverService, randomFactory, noGuessLayoutGenerator, boardAnalysisService, timerFactory, logger) => {
+    // options.debug unlocks getBoardState, the unmasked board, for tooling
+    return (config, seed = config.seed, options = {}) => {
       // 1. 初始化空棋盘（此时不放雷）
       const board = boardFactory(config);
+      const random = randomFactory(seed);
       
       // 2. 传递 config.minesNumber，保证 UI 计数器正确显示
-      const service = new MinesweeperGameService(board, gameRules, cellInteractionService, eventBus, gameOverService, config.minesNumber);
+      const service = new MinesweeperGameService(board, gameRules, cellInteractionService, eventBus, gameOverService, config.minesNumber, {
+        questionMarksEnabled: config.questionMarks,
+        practiceMode: config.practiceMode,
+        seed: random.seed,
+        boardAnalysisService,
+        timer: timerFactory(),
+        debug: options.debug
+      });
       
       // 3. 将布雷逻辑延迟到玩家的“第一击”
       service.setFirstMoveInitialization((firstClickPos) => {
-        // デバッグ用：初回クリック時にコンソールにメッセージを表示し、コードが更新されたか確認する
-        console.log(`初回クリック座標: x=${firstClickPos.x}, y=${firstClickPos.y}。安全な地雷配置を実行します。`);
-        // 生成地雷时，完美避开第一击的位置及其周围8个格子
-        const minePositions = generateSafeMinePositions(config, firstClickPos);
-        placeMinesOnBoard(board, minePositions);
-        
-        // 布雷完毕后，计算周围的数字
-        const neighborsResult = NeighborService.calculateMineCountsForBoard(board);
-        if (neighborsResult.isFailure) {
-          throw new Error(`Failed to calculate mine counts: ${neighborsResult.error}`);
+        // Traces which first click the mines were placed around; the production logger drops it
+        logger.log(`First click at ${firstClickPos.x},${firstClickPos.y}; placing mines around it`);
+        // 生成地雷时，完美避开第一击的位置及其周围的格子
+        const createLayout = () => generateSafeMinePositions(config, firstClickPos, random, board.topology);
+        const generation = { noGuess: false, presetLayout: false, solved: null, attempts: 1, reason: null };
+        let layoutResult;
+
+        if (config.mineLayout) {
+          layoutResult = Result.success({
+            positions: config.mineLayout,
+            generation: { ...generation, presetLayout: true, attempts: 0 }
+          });
+        } else if (config.noGuess) {
+          // A fallback layout is a regular one, so the game is reported as not guess-free
+          const noGuessResult = noGuessLayoutGenerator.generate(config, firstClickPos, createLayout);
+          layoutResult = noGuessResult.isFailure
+            ? Result.failure(`Failed to generate no-guess layout: ${noGuessResult.error}`)
+            : noGuessResult.map(({ positions, ...report }) => ({
+              positions,
+              generation: { ...generation, ...report, noGuess: report.solved }
+            }));
+        } else {
+          layoutResult = Result.success({ positions: createLayout(), generation });
         }
+
+        // 布雷完毕后，计算周围的数字
+        return layoutResult.flatMap(({ positions, generation }) => board.placeMines(positions)
+          .flatMap(() => NeighborService.calculateMineCountsForBoard(board))
+          .map(() => generation));
       });
       
       return service;
     };
   }, { 
-    dependencies: ['boardFactory', 'gameRules', 'cellInteractionService', 'eventBus', 'gameOverService'] 
+    dependencies: ['boardFactory', 'gameRules', 'cellInteractionService', 'eventBus', 'gameOverService', 'randomFactory', 'noGuessLayoutGenerator', 'boardAnalysisService', 'timerFactory', 'logger'] 
   });
   
   return container;
 }
 
-// 核心功能：生成绝对安全的地雷坐标（避开首击 3x3 区域）
-function generateSafeMinePositions(config, firstClickPos) {
+// 核心功能：生成绝对安全的地雷坐标（避开首击及其邻格）
+function generateSafeMinePositions(config, firstClickPos, random, topology) {
   const positions = [];
   const totalCells = config.rows * config.cols;
   
@@ -89,16 +147,18 @@ function generateSafeMinePositions(config, firstClickPos) {
     throw new Error('Mine count cannot exceed total cells');
   }
 
-  // 如果剩余格子足够多，则避开玩家点击格子及其周围一圈（共9格），确保点击中心必定是 0 并引发大面积连爆
-  const canAvoidNeighbors = config.minesNumber <= (totalCells - 9);
+  // 如果剩余格子足够多，则避开玩家点击格子及其周围一圈，确保点击中心必定是 0 并引发大面积连爆
+  const safeZone = new Set([firstClickPos, ...topology.neighbors(firstClickPos, config)]
+    .map(pos => `${pos.x},${pos.y}`));
+  const canAvoidNeighbors = config.minesNumber <= (totalCells - safeZone.size);
 
   while (positions.length < config.minesNumber) {
-    const x = Math.floor(Math.random() * config.rows);
-    const y = Math.floor(Math.random() * config.cols);
+    const x = random.nextInt(config.rows);
+    const y = random.nextInt(config.cols);
     
     if (canAvoidNeighbors) {
-      // 避开 3x3 区域
-      if (Math.abs(x - firstClickPos.x) <= 1 && Math.abs(y - firstClickPos.y) <= 1) {
+      // 避开首击周围的区域（由棋盘拓扑决定）
+      if (safeZone.has(`${x},${y}`)) {
         continue;
       }
     } else {
@@ -117,14 +177,6 @@ function generateSafeMinePositions(config, firstClickPos) {
   return positions;
 }
 
-function placeMinesOnBoard(board, minePositions) {
-  const result = board.placeMines(minePositions);
-  if (result.isFailure) {
-    throw new Error(result.error);
-  }
-  return result.value;
-}
-
 export function registerDevelopmentServices(container) {
   container.register('logger', () => {
     return {
@@ -0,0 +1,192 @@
+"use strict";
+
+import { Result } from '../common/Result.js';
+import { TypeGuards } from '../common/TypeGuards.js';
+
+export const STATISTICS_FORMAT_VERSION = 1;
+
+const TOP_TIMES_LIMIT = 10;
+const COUNTER_FIELDS = ['played', 'wins', 'currentStreak', 'bestStreak', 'timedWins', 'totalWinTime'];
+
+// Per-category totals and best times kept in localStorage.
+// Games that used undo are left out of every record.
+export class StatisticsStore {
+  #storage;
+  #key;
+  #damagedKey;
+  #logger;
+  #reported = new Set();
+
+  constructor(storage = localStorage, key = 'statistics', logger = console) {
+    this.#storage = storage;
+    this.#key = key;
+    this.#damagedKey = `${key}.damaged`;
+    this.#logger = logger;
+  }
+
+  recordGame(category, { won, duration, usedUndo = false }) {
+    if (!TypeGuards.isString(category) || category.length === 0) {
+      return Result.failure('Statistics category must be a non-empty string');
+    }
+
+    const categories = this.#load();
+    const entry = categories[category] ?? createEntry();
+    if (usedUndo) {
+      return Result.success(summarize(category, entry));
+    }
+
+    entry.played++;
+    if (won) {
+      entry.wins++;
+      entry.currentStreak++;
+      entry.bestStreak = Math.max(entry.bestStreak, entry.currentStreak);
+
+      if (TypeGuards.isNumber(duration)) {
+        entry.timedWins++;
+        entry.totalWinTime += duration;
+        entry.topTimes = [...entry.topTimes, { duration, date: new Date().toISOString() }]
+          .sort((a, b) => a.duration - b.duration)
+          .slice(0, TOP_TIMES_LIMIT);
+      }
+    } else {
+      entry.currentStreak = 0;
+    }
+
+    this.#saveEntry(category, entry);
+    return Result.success(summarize(category, entry));
+  }
+
+  // Summaries sorted by number of games played
+  list() {
+    return Object.entries(this.#load())
+      .map(([category, entry]) => summarize(category, entry))
+      .sort((a, b) => b.played - a.played);
+  }
+
+  reset() {
+    this.#storage.removeItem(this.#key);
+    this.#storage.removeItem(this.#damagedKey);
+    return Result.success('Statistics reset');
+  }
+
+  toJSON() {
+    return {
+      version: STATISTICS_FORMAT_VERSION,
+      categories: this.#load()
+    };
+  }
+
+  // Replaces the stored statistics
+  importJSON(json) {
+    let data;
+    try {
+      data = TypeGuards.isString(json) ? JSON.parse(json) : json;
+    } catch (error) {
+      return Result.failure(`Statistics are not valid JSON: ${error.message}`);
+    }
+
+    if (!TypeGuards.isObject(data) || data.version !== STATISTICS_FORMAT_VERSION) {
+      return Result.failure(`Unsupported statistics version: ${data?.version}`);
+    }
+    if (!TypeGuards.isObject(data.categories)) {
+      return Result.failure('Statistics have no categories');
+    }
+
+    for (const [category, entry] of Object.entries(data.categories)) {
+      if (!isValidEntry(entry)) {
+        return Result.failure(`Statistics for '${category}' are invalid`);
+      }
+    }
+
+    this.#storage.setItem(this.#key, JSON.stringify(data.categories));
+    return Result.success(Object.keys(data.categories).length);
+  }
+
+  // Damaged entries are left out here but stay in storage untouched, so a later
+  // fix or export can still recover them
+  #load() {
+    const stored = this.#readStored();
+    if (stored === null) {
+      this.#report(`Stored statistics are unreadable and will be kept under '${this.#damagedKey}'`);
+      return {};
+    }
+
+    const categories = {};
+    for (const [category, entry] of Object.entries(stored)) {
+      if (isValidEntry(entry)) {
+        categories[category] = entry;
+      } else {
+        this.#report(`Statistics for '${category}' are damaged and left out`);
+      }
+    }
+    return categories;
+  }
+
+  // Writes one category over what is stored, leaving every other entry as it was
+  #saveEntry(category, entry) {
+    const stored = this.#readStored();
+    if (stored === null) {
+      this.#storage.setItem(this.#damagedKey, this.#storage.getItem(this.#key));
+    } else if (stored[category] !== undefined && !isValidEntry(stored[category])) {
+      this.#logger?.warn(`Damaged statistics for '${category}' were replaced:`, stored[category]);
+    }
+    this.#storage.setItem(this.#key, JSON.stringify({ ...stored, [category]: entry }));
+  }
+
+  // Stored categories as saved, damaged ones included; null when the stored text cannot be read
+  #readStored() {
+    const text = this.#storage.getItem(this.#key);
+    if (text === null) {
+      return {};
+    }
+    try {
+      const categories = JSON.parse(text);
+      return TypeGuards.isObject(categories) ? categories : null;
+    } catch {
+      return null;
+    }
+  }
+
+  #report(message) {
+    if (!this.#reported.has(message)) {
+      this.#reported.add(message);
+      this.#logger?.warn(message);
+    }
+  }
+}
+
+function createEntry() {
+  return {
+    played: 0,
+    wins: 0,
+    currentStreak: 0,
+    bestStreak: 0,
+    timedWins: 0,
+    totalWinTime: 0,
+    topTimes: []
+  };
+}
+
+function summarize(category, entry) {
+  return {
+    category,
+    played: entry.played,
+    wins: entry.wins,
+    winRate: entry.played > 0 ? entry.wins / entry.played : 0,
+    currentStreak: entry.currentStreak,
+    bestStreak: entry.bestStreak,
+    bestTime: entry.topTimes[0]?.duration ?? null,
+    averageTime: entry.timedWins > 0 ? entry.totalWinTime / entry.timedWins : null,
+    topTimes: entry.topTimes
+  };
+}
+
+function isValidEntry(entry) {
+  return TypeGuards.isObject(entry) &&
+         COUNTER_FIELDS.every(field => TypeGuards.isNumber(entry[field]) && entry[field] >= 0) &&
+         entry.wins <= entry.played &&
+         Array.isArray(entry.topTimes) &&
+         entry.topTimes.length <= TOP_TIMES_LIMIT &&
+         entry.topTimes.every(time => TypeGuards.isObject(time) && TypeGuards.isNumber(time.duration) &&
+                                      TypeGuards.isString(time.date));
+}
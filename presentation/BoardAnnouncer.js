@@ -0,0 +1,67 @@
+"use strict";
+
+import { Result } from '../common/Result.js';
+
+/**
+ * Screen-reader announcements for a game, written to an ARIA live region.
+ * Reveals from one input are counted together so a cascade is read once.
+ */
+export class BoardAnnouncer {
+  #eventBus;
+  #liveRegion;
+  #revealedCount = 0;
+  #isFlushQueued = false;
+
+  constructor(eventBus, liveRegion) {
+    this.#eventBus = eventBus;
+    this.#liveRegion = liveRegion;
+    this.#liveRegion.textContent = '';
+    this.#initializeEventListeners();
+  }
+
+  announce(message) {
+    // Clearing first makes a repeated message be read again
+    this.#liveRegion.textContent = '';
+    requestAnimationFrame(() => {
+      this.#liveRegion.textContent = message;
+    });
+    return Result.success(message);
+  }
+
+  #initializeEventListeners() {
+    this.#eventBus.subscribe('cell-revealed', (event) => {
+      // Mines and wrong flags shown after a loss are covered by the loss message
+      if (event.data.type === 'mine_reveal' || event.data.type === 'wrong_flag') {
+        return;
+      }
+      this.#revealedCount++;
+      this.#queueFlush();
+    });
+
+    this.#eventBus.subscribe('game-won', (event) => {
+      this.#revealedCount = 0;
+      this.announce(`You won in ${(event.data.duration / 1000).toFixed(1)} seconds`);
+    });
+
+    this.#eventBus.subscribe('game-lost', () => {
+      this.#revealedCount = 0;
+      this.announce('You hit a mine. Game over');
+    });
+
+    this.#eventBus.subscribe('game-paused', () => this.announce('Game paused'));
+    this.#eventBus.subscribe('game-resumed', () => this.announce('Game resumed'));
+  }
+
+  // Only cascades are announced; a single reveal changes just the cell in focus
+  #queueFlush() {
+    if (this.#isFlushQueued) return;
+    this.#isFlushQueued = true;
+    queueMicrotask(() => {
+      this.#isFlushQueued = false;
+      if (this.#revealedCount > 1) {
+        this.announce(`${this.#revealedCount} cells opened`);
+      }
+      this.#revealedCount = 0;
+    });
+  }
+}
@@ -0,0 +1,312 @@
+"use strict";
+
+import { GAME_CONSTANTS } from '../common/GameConstants.js';
+import { TypeGuards } from '../common/TypeGuards.js';
+import { Result } from '../common/Result.js';
+import { NeighborCalculator } from '../common/NeighborCalculator.js';
+
+// What a tap does on a hidden cell; a long press does the other one
+export const TOUCH_MODES = Object.freeze({
+  DIG: 'dig',
+  FLAG: 'flag'
+});
+
+export const DEFAULT_LONG_PRESS_DELAY = 450;
+
+// A finger that moves further than this (in CSS pixels) is scrolling, not tapping
+const TAP_MOVE_TOLERANCE = 10;
+// Browsers follow a touch with emulated mouse events; these must not act a second time
+const EMULATED_MOUSE_WINDOW = 800;
+
+/**
+ * Turns mouse, touch and keyboard input on a board position into game actions.
+ * Renderers only translate their DOM events into board positions and draw the
+ * press feedback reported through onPressChange(position, isPressing).
+ */
+export class BoardInputHandler {
+  #board;
+  #gameService;
+  #onPressChange;
+  #isChording = false;
+  #isAwaitingChordRelease = false;
+  #touchMode = TOUCH_MODES.DIG;
+  #longPressDelay = DEFAULT_LONG_PRESS_DELAY;
+  #touchPress = null;
+  #ignoreMouseUntil = 0;
+
+  constructor(board, gameService, options = {}) {
+    this.#board = board;
+    this.#gameService = gameService;
+    this.#onPressChange = options.onPressChange ?? (() => {});
+
+    this.setTouchMode(options.touchMode ?? TOUCH_MODES.DIG);
+    this.setLongPressDelay(options.longPressDelay ?? DEFAULT_LONG_PRESS_DELAY);
+  }
+
+  get touchMode() {
+    return this.#touchMode;
+  }
+
+  get longPressDelay() {
+    return this.#longPressDelay;
+  }
+
+  setTouchMode(mode) {
+    if (!Object.values(TOUCH_MODES).includes(mode)) {
+      return Result.failure(`Unknown touch mode '${mode}'`);
+    }
+    this.#touchMode = mode;
+    return Result.success(mode);
+  }
+
+  setLongPressDelay(delay) {
+    if (!TypeGuards.isNumber(delay) || delay <= 0) {
+      return Result.failure('Long-press delay must be a positive number of milliseconds');
+    }
+    this.#longPressDelay = delay;
+    return Result.success(delay);
+  }
+
+  // Click event is always left button by default
+  click(position) {
+    if (!this.#gameService) {
+      console.error('GameService is null or undefined!');
+      return;
+    }
+
+    // The click that ends a left+right chord must not reveal the cell under it
+    if (this.#consumeChordRelease() || this.#isEmulatedMouseEvent()) {
+      return;
+    }
+
+    this.#openCell(position);
+  }
+
+  contextMenu(position) {
+    // Mobile browsers raise contextmenu on a long press, which is handled as a touch
+    if (this.#consumeChordRelease() || this.#touchPress || this.#isEmulatedMouseEvent()) {
+      return;
+    }
+
+    this.#toggleFlag(position);
+  }
+
+  mouseDown(event, position) {
+    if (this.#isEmulatedMouseEvent()) {
+      return;
+    }
+
+    if (event.button === GAME_CONSTANTS.MOUSE_BUTTONS.MIDDLE) {
+      // Middle click - chord and suppress browser autoscroll
+      event.preventDefault();
+      this.#chordCell(position);
+      return;
+    }
+
+    // Left and right buttons held together (bitmask 1 | 2)
+    this.#isAwaitingChordRelease = false;
+    this.#isChording = event.buttons === 3;
+    if (this.#isChording) {
+      this.#chordCell(position);
+    }
+  }
+
+  // Once the last button of a chord is up, the click or contextmenu it raises is
+  // still ignored; any other input means it is not coming
+  mouseUp(event) {
+    if (this.#isChording && event.buttons === 0) {
+      this.#isChording = false;
+      this.#isAwaitingChordRelease = true;
+    }
+  }
+
+  touchStart(event, position) {
+    if (event.pointerType !== 'touch' || !event.isPrimary) {
+      return;
+    }
+
+    this.#isAwaitingChordRelease = false;
+
+    this.cancelTouch();
+    this.#touchPress = {
+      pointerId: event.pointerId,
+      position,
+      startX: event.clientX,
+      startY: event.clientY,
+      timeout: setTimeout(() => this.#handleLongPress(), this.#longPressDelay)
+    };
+    this.#onPressChange(position, true);
+  }
+
+  touchMove(event) {
+    const press = this.#touchPress;
+    if (!press || event.pointerId !== press.pointerId) {
+      return;
+    }
+    if (Math.hypot(event.clientX - press.startX, event.clientY - press.startY) > TAP_MOVE_TOLERANCE) {
+      this.cancelTouch();
+    }
+  }
+
+  touchEnd(event) {
+    const press = this.#touchPress;
+    if (!press || event.pointerId !== press.pointerId) {
+      return;
+    }
+
+    this.cancelTouch();
+    this.#ignoreMouseUntil = performance.now() + EMULATED_MOUSE_WINDOW;
+    this.#handleTap(press.position);
+  }
+
+  // Also called when the browser takes the gesture over, e.g. to scroll the board
+  cancelTouch() {
+    const press = this.#touchPress;
+    if (!press) {
+      return;
+    }
+    clearTimeout(press.timeout);
+    this.#touchPress = null;
+    this.#onPressChange(press.position, false);
+  }
+
+  // Performs the key's action on the cursor cell; returns where the cursor
+  // should move for navigation keys and null otherwise
+  keyDown(event, position) {
+    if (event.ctrlKey || event.metaKey || event.altKey) {
+      return null;
+    }
+    this.#isAwaitingChordRelease = false;
+
+    const { rows, cols } = this.#board.bounds;
+    const moves = {
+      ArrowUp: { x: position.x - 1, y: position.y },
+      ArrowDown: { x: position.x + 1, y: position.y },
+      ArrowLeft: { x: position.x, y: position.y - 1 },
+      ArrowRight: { x: position.x, y: position.y + 1 },
+      Home: { x: position.x, y: 0 },
+      End: { x: position.x, y: cols - 1 }
+    };
+
+    if (moves[event.key]) {
+      event.preventDefault();
+      return this.#clampOrWrap(moves[event.key], rows, cols);
+    }
+
+    switch (event.key.toLowerCase()) {
+      // Keys act directly: the mouse chording and touch guards only filter mouse events
+      case ' ':
+      case 'enter':
+        event.preventDefault();
+        this.#openCell(position);
+        break;
+      case 'f':
+        event.preventDefault();
+        this.#toggleFlag(position);
+        break;
+      case 'c':
+        event.preventDefault();
+        this.#chordCell(position);
+        break;
+    }
+    return null;
+  }
+
+  // Opening a number chords it once all of its mines are flagged; other revealed cells ignore it
+  #openCell(position) {
+    const cellResult = this.#board.getCellAt(position);
+    if (cellResult.isSuccess && cellResult.value.isRevealed) {
+      if (this.#isChordable(cellResult.value)) {
+        this.#chordCell(position);
+      }
+      return;
+    }
+
+    this.#revealCell(position);
+  }
+
+  // Tapping a number chords in either mode
+  #handleTap(position) {
+    const cell = this.#board.getCellAt(position).value;
+    if (cell.isRevealed) {
+      if (this.#isChordable(cell)) {
+        this.#chordCell(position);
+      }
+    } else if (this.#touchMode === TOUCH_MODES.FLAG) {
+      this.#toggleFlag(position);
+    } else {
+      this.#revealCell(position);
+    }
+  }
+
+  #handleLongPress() {
+    const { position } = this.#touchPress;
+    this.cancelTouch();
+    this.#ignoreMouseUntil = performance.now() + EMULATED_MOUSE_WINDOW;
+
+    const cell = this.#board.getCellAt(position).value;
+    if (cell.isRevealed) {
+      return;
+    }
+    if (this.#touchMode === TOUCH_MODES.FLAG) {
+      this.#revealCell(position);
+    } else {
+      this.#toggleFlag(position);
+    }
+  }
+
+  #isChordable(cell) {
+    if (!cell.hasMinedNeighbors) {
+      return false;
+    }
+    const neighbors = NeighborCalculator.calculateNeighbors(cell.position, this.#board.bounds, this.#board.topology);
+    const flaggedCount = neighbors.filter(neighbor => this.#board.getCellAt(neighbor).value.isFlagged).length;
+    return flaggedCount === cell.neighborMineCount;
+  }
+
+  // True for the button releases of a chord; the last one also ends the wait for it
+  #consumeChordRelease() {
+    if (this.#isChording) {
+      return true;
+    }
+    const isRelease = this.#isAwaitingChordRelease;
+    this.#isAwaitingChordRelease = false;
+    return isRelease;
+  }
+
+  #isEmulatedMouseEvent() {
+    return performance.now() < this.#ignoreMouseUntil;
+  }
+
+  // On a torus the cursor wraps around like the board does
+  #clampOrWrap({ x, y }, rows, cols) {
+    if (this.#board.topology.wrap) {
+      return { x: (x + rows) % rows, y: (y + cols) % cols };
+    }
+    return {
+      x: Math.min(Math.max(x, 0), rows - 1),
+      y: Math.min(Math.max(y, 0), cols - 1)
+    };
+  }
+
+  #revealCell(position) {
+    const revealResult = this.#gameService.revealCell(position);
+    if (revealResult.isFailure) {
+      console.warn(`Failed to reveal cell at ${position.x},${position.y}: ${revealResult.error}`);
+    }
+  }
+
+  #toggleFlag(position) {
+    const flagResult = this.#gameService.toggleCellFlag(position);
+    if (flagResult.isFailure) {
+      console.warn(`Failed to flag cell at ${position.x},${position.y}: ${flagResult.error}`);
+    }
+  }
+
+  #chordCell(position) {
+    const chordResult = this.#gameService.chordCell(position);
+    if (chordResult.isFailure) {
+      console.warn(`Failed to chord cell at ${position.x},${position.y}: ${chordResult.error}`);
+    }
+  }
+}
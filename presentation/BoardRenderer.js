@@ -1,8 +1,8 @@
 "use strict";
 
-import { GAME_CONSTANTS } from '../common/GameConstants.js';
-import { TypeGuards } from '../common/TypeGuards.js';
 import { Result } from '../common/Result.js';
+import { TOPOLOGY_TYPES } from '../common/Topology.js';
+import { BoardInputHandler } from './BoardInputHandler.js';
 
 export class BoardRenderer {
   #board;
@@ -12,23 +12,40 @@ export class BoardRenderer {
   #domContainer;
   #tableElement;
   #cellElements;
+  #input;
+  #probabilityOverlay;
+  #focusedPosition;
+  #pendingPositions;
+  #frameRequest;
 
-  constructor(board, cellRenderer, gameService, eventBus, domContainer) {
+  constructor(board, cellRenderer, gameService, eventBus, domContainer, options = {}) {
     this.#board = board;
     this.#cellRenderer = cellRenderer;
     this.#gameService = gameService;
     this.#eventBus = eventBus;
     this.#domContainer = domContainer;
     this.#cellElements = new Map();
+    this.#probabilityOverlay = new Map();
+    this.#focusedPosition = { x: 0, y: 0 };
+    this.#pendingPositions = new Map();
+    this.#frameRequest = null;
+    this.#input = new BoardInputHandler(board, gameService, {
+      ...options,
+      onPressChange: (position, isPressing) => this.#showPress(position, isPressing)
+    });
 
     this.#initializeEventListeners();
     this.#createBoardTable();
   }
 
   refreshBoard() {
+    const hadFocus = this.#tableElement?.contains(document.activeElement) ?? false;
     this.#clearBoard();
     this.#createBoardTable();
     this.#renderAllCells();
+    if (hadFocus) {
+      this.#moveFocus(this.#focusedPosition);
+    }
     return Result.success('Board refreshed');
   }
   
@@ -52,18 +69,74 @@ export class BoardRenderer {
     
     cellElement.innerHTML = renderResult.content;
     cellElement.className = renderResult.className;
+    cellElement.setAttribute('aria-label', this.#describeCell(position, renderResult.label));
+    this.#applyProbabilityOverlay(cell, cellElement);
 
     return Result.success('Cell updated');
   }
 
+  get touchMode() {
+    return this.#input.touchMode;
+  }
+
+  setTouchMode(mode) {
+    return this.#input.setTouchMode(mode);
+  }
+
+  setLongPressDelay(delay) {
+    return this.#input.setLongPressDelay(delay);
+  }
+
+  // Overlay layer drawn on top of the strategy output; pass null to hide it
+  setProbabilityOverlay(probabilities) {
+    this.#probabilityOverlay.clear();
+    for (const entry of probabilities ?? []) {
+      this.#probabilityOverlay.set(`${entry.position.x},${entry.position.y}`, entry);
+    }
+
+    this.#renderAllCells();
+    return Result.success('Probability overlay updated');
+  }
+
+  #applyProbabilityOverlay(cell, cellElement) {
+    const entry = cell.isHidden ? this.#probabilityOverlay.get(`${cell.position.x},${cell.position.y}`) : null;
+
+    if (!entry) {
+      cellElement.style.removeProperty('--mine-probability');
+      delete cellElement.dataset.probability;
+      cellElement.removeAttribute('title');
+      return;
+    }
+
+    const percent = Math.round(entry.probability * 100);
+    cellElement.classList.add('probability');
+    cellElement.style.setProperty('--mine-probability', entry.probability.toFixed(3));
+    cellElement.dataset.probability = String(percent);
+    cellElement.title = `${entry.exact ? '' : '~'}${percent}% mine`;
+    cellElement.setAttribute('aria-label', `${cellElement.getAttribute('aria-label')}, ${entry.exact ? '' : 'about '}${percent}% mine`);
+  }
+
+  // Spoken as "row 3 column 5, revealed, 2 mines adjacent"
+  #describeCell(position, label) {
+    return `row ${position.x + 1} column ${position.y + 1}, ${label}`;
+  }
+
   #initializeEventListeners() {
-    this.#eventBus.subscribe('cell-revealed', (event) => {
-      this.updateCell(event.data.position);
+    // Each player action arrives as one batch, however many cells a cascade opened
+    this.#eventBus.subscribe('board-state-changed', (event) => {
+      this.#queueCellUpdates(event.data.positions);
     });
 
-    this.#eventBus.subscribe('cell-flagged', (event) => {
-      this.updateCell(event.data.position);
-    });
+    // Undo/redo may reopen a finished game
+    const handleHistoryMove = (event) => {
+      if (event.data.isActive) {
+        this.#enableAllCellInteractions();
+      } else {
+        this.#disableAllCellInteractions();
+      }
+    };
+    this.#eventBus.subscribe('move-undone', handleHistoryMove);
+    this.#eventBus.subscribe('move-redone', handleHistoryMove);
 
     this.#eventBus.subscribe('game-won', () => {
       this.#disableAllCellInteractions();
@@ -74,12 +147,46 @@ export class BoardRenderer {
     });
   }
 
+  #queueCellUpdates(positions) {
+    for (const position of positions) {
+      this.#pendingPositions.set(`${position.x},${position.y}`, position);
+    }
+    if (this.#frameRequest !== null) return;
+
+    this.#frameRequest = requestAnimationFrame(() => {
+      this.#frameRequest = null;
+      const pending = Array.from(this.#pendingPositions.values());
+      this.#pendingPositions.clear();
+      for (const position of pending) {
+        this.updateCell(position);
+      }
+    });
+  }
+
   #createBoardTable() {
     this.#tableElement = document.createElement('table');
     this.#tableElement.className = 'board-table';
+    this.#tableElement.setAttribute('role', 'grid');
+    this.#tableElement.setAttribute('aria-label',
+      `Minesweeper board, ${this.#board.bounds.rows} rows by ${this.#board.bounds.cols} columns. ` +
+      'Arrow keys move, Space or Enter reveals, F flags, C chords');
+    this.#tableElement.addEventListener('keydown', (event) => this.#handleKeyDown(event));
+
+    // Hex boards use odd-r offset coordinates, so every odd row is shifted by half a cell
+    const isHex = this.#board.topology.type === TOPOLOGY_TYPES.HEX;
+    if (isHex) {
+      this.#tableElement.classList.add('hex-board');
+    }
+    if (this.#board.topology.wrap) {
+      this.#tableElement.classList.add('wrap-board');
+    }
 
     for (let x = 0; x < this.#board.bounds.rows; x++) {
       const row = document.createElement('tr');
+      row.setAttribute('role', 'row');
+      if (isHex && x % 2 === 1) {
+        row.className = 'hex-odd-row';
+      }
 
       for (let y = 0; y < this.#board.bounds.cols; y++) {
         const position = { x, y };
@@ -107,48 +214,80 @@ export class BoardRenderer {
     cellElement.dataset.cellId = cell.id;
     cellElement.dataset.x = position.x.toString();
     cellElement.dataset.y = position.y.toString();
+    cellElement.setAttribute('role', 'gridcell');
+    cellElement.setAttribute('aria-label', this.#describeCell(position, renderResult.label));
+    // Roving focus: only the cursor cell is in the tab order
+    cellElement.tabIndex = this.#isFocusedPosition(position) ? 0 : -1;
+
+    cellElement.addEventListener('focus', () => {
+      this.#setFocusedPosition(position);
+    });
 
     // Add event listeners for cell interactions
-    cellElement.addEventListener('click', (event) => {
-      this.#handleCellClick(event, position);
+    cellElement.addEventListener('click', () => {
+      this.#input.click(position);
     });
 
     cellElement.addEventListener('contextmenu', (event) => {
       event.preventDefault();
-      this.#handleCellRightClick(event, position);
+      this.#input.contextMenu(position);
     });
 
     cellElement.addEventListener('mousedown', (event) => {
-      this.#handleCellMouseDown(event, position);
+      this.#input.mouseDown(event, position);
     });
 
+    cellElement.addEventListener('mouseup', (event) => this.#input.mouseUp(event));
+
+    cellElement.addEventListener('pointerdown', (event) => this.#input.touchStart(event, position));
+    cellElement.addEventListener('pointermove', (event) => this.#input.touchMove(event));
+    cellElement.addEventListener('pointerup', (event) => this.#input.touchEnd(event));
+    cellElement.addEventListener('pointercancel', () => this.#input.cancelTouch());
+
     this.#cellElements.set(cell.id, cellElement);
     return cellElement;
-  }  #handleCellClick(event, position) {
-    // Click event is always left button by default
-    if (!this.#gameService) {
-      console.error('GameService is null or undefined!');
-      return;
-    }
-    
-    const revealResult = this.#gameService.revealCell(position);
-    if (revealResult.isFailure) {
-      console.warn(`Failed to reveal cell at ${position.x},${position.y}: ${revealResult.error}`);
+  }
+
+  #showPress(position, isPressing) {
+    const cellElement = this.#cellElementAt(position);
+    if (!cellElement) return;
+    if (isPressing) {
+      cellElement.style.setProperty('--long-press-delay', `${this.#input.longPressDelay}ms`);
     }
+    cellElement.classList.toggle('pressing', isPressing);
   }
 
-  #handleCellRightClick(event, position) {
-    const flagResult = this.#gameService.toggleCellFlag(position);
-    if (flagResult.isFailure) {
-      console.warn(`Failed to flag cell at ${position.x},${position.y}: ${flagResult.error}`);
+  #handleKeyDown(event) {
+    const target = this.#input.keyDown(event, this.#focusedPosition);
+    if (target) {
+      this.#moveFocus(target);
     }
   }
 
-  #handleCellMouseDown(event, position) {
-    if (event.button === GAME_CONSTANTS.MOUSE_BUTTONS.MIDDLE) {
-      // Middle click - could be used for chord clicking in future
-      event.preventDefault();
+  #moveFocus(position) {
+    this.#setFocusedPosition(position);
+    this.#cellElementAt(position)?.focus();
+  }
+
+  #setFocusedPosition(position) {
+    if (this.#isFocusedPosition(position)) {
+      return;
     }
+    const previousElement = this.#cellElementAt(this.#focusedPosition);
+    if (previousElement) previousElement.tabIndex = -1;
+
+    this.#focusedPosition = { x: position.x, y: position.y };
+    const cellElement = this.#cellElementAt(position);
+    if (cellElement) cellElement.tabIndex = 0;
+  }
+
+  #isFocusedPosition(position) {
+    return position.x === this.#focusedPosition.x && position.y === this.#focusedPosition.y;
+  }
+
+  #cellElementAt(position) {
+    const cellResult = this.#board.getCellAt(position);
+    return cellResult.isSuccess ? this.#cellElements.get(cellResult.value.id) : undefined;
   }
 
   #renderAllCells() {
@@ -166,7 +305,14 @@ export class BoardRenderer {
     });
   }
 
+  #enableAllCellInteractions() {
+    this.#cellElements.forEach((cellElement) => {
+      cellElement.style.pointerEvents = '';
+    });
+  }
+
   #clearBoard() {
+    this.#input.cancelTouch();
     if (this.#tableElement) {
       this.#tableElement.remove();
     }
@@ -174,6 +320,10 @@ export class BoardRenderer {
   }
 
   destroy() {
+    if (this.#frameRequest !== null) {
+      cancelAnimationFrame(this.#frameRequest);
+      this.#frameRequest = null;
+    }
     this.#clearBoard();
     // Remove event listeners
     this.#eventBus.clear();
@@ -0,0 +1,435 @@
+"use strict";
+
+import { Result } from '../common/Result.js';
+import { TOPOLOGY_TYPES } from '../common/Topology.js';
+import { BoardInputHandler } from './BoardInputHandler.js';
+
+// Boards with more cells than this are drawn on a canvas instead of a table
+export const CANVAS_CELL_THRESHOLD = 1600;
+
+const CELL_SIZE = 24;
+const CELL_GAP = 2;
+const CELL_PITCH = CELL_SIZE + CELL_GAP;
+const BOARD_PADDING = 8;
+// Mobile Safari refuses larger canvases, so high-DPI scaling is reduced to fit
+const MAX_CANVAS_PIXELS = 16777216;
+
+// Same colors as the .number-N rules in styles.css
+const NUMBER_COLORS = ['', '#403f3f', '#d11141', '#00aedb', '#f37735', '#ffc425', '#00b159', '#9ea19a', '#ff4682'];
+
+// Strategies render HTML entities for the DOM; canvas text needs the characters
+const decodeEntities = (content) =>
+  content.replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)));
+
+/**
+ * Draws the board onto a single <canvas> and hit-tests input, for boards too
+ * large for one element per cell. Uses the same cell strategies, events and
+ * public API as BoardRenderer; changed cells are redrawn once per frame.
+ */
+export class CanvasBoardRenderer {
+  #board;
+  #cellRenderer;
+  #eventBus;
+  #domContainer;
+  #canvasElement;
+  #context;
+  #input;
+  #probabilityOverlay = new Map();
+  #dirtyPositions = new Map();
+  #frameRequest = null;
+  #palette = null;
+  #cellStyles = new Map();
+  #cursorPosition = { x: 0, y: 0 };
+  #hoverPosition = null;
+  #pressedPosition = null;
+  #hasFocus = false;
+  #isInteractive = true;
+  #themeObserver = null;
+
+  constructor(board, cellRenderer, gameService, eventBus, domContainer, options = {}) {
+    this.#board = board;
+    this.#cellRenderer = cellRenderer;
+    this.#eventBus = eventBus;
+    this.#domContainer = domContainer;
+    this.#input = new BoardInputHandler(board, gameService, {
+      ...options,
+      onPressChange: (position, isPressing) => {
+        this.#pressedPosition = isPressing ? position : null;
+        this.updateCell(position);
+      }
+    });
+
+    this.#initializeEventListeners();
+    this.#createCanvas();
+    this.#drawBoard();
+  }
+
+  refreshBoard() {
+    this.#isInteractive = true;
+    this.#canvasElement.style.cursor = '';
+    this.#drawBoard();
+    return Result.success('Board refreshed');
+  }
+
+  // Drawn with the next animation frame so a cascade costs one redraw
+  updateCell(position) {
+    const cellResult = this.#board.getCellAt(position);
+    if (cellResult.isFailure) {
+      console.error('Failed to get cell:', cellResult.error);
+      return cellResult;
+    }
+
+    this.#dirtyPositions.set(cellResult.value.id, cellResult.value.position);
+    this.#scheduleFrame();
+    return Result.success('Cell updated');
+  }
+
+  get touchMode() {
+    return this.#input.touchMode;
+  }
+
+  setTouchMode(mode) {
+    return this.#input.setTouchMode(mode);
+  }
+
+  setLongPressDelay(delay) {
+    return this.#input.setLongPressDelay(delay);
+  }
+
+  // Overlay layer drawn on top of the strategy output; pass null to hide it
+  setProbabilityOverlay(probabilities) {
+    const changed = [...this.#probabilityOverlay.values()];
+    this.#probabilityOverlay.clear();
+    for (const entry of probabilities ?? []) {
+      this.#probabilityOverlay.set(`${entry.position.x},${entry.position.y}`, entry);
+      changed.push(entry);
+    }
+
+    for (const entry of changed) {
+      this.updateCell(entry.position);
+    }
+    return Result.success('Probability overlay updated');
+  }
+
+  destroy() {
+    this.#input.cancelTouch();
+    if (this.#frameRequest !== null) {
+      cancelAnimationFrame(this.#frameRequest);
+      this.#frameRequest = null;
+    }
+    this.#themeObserver?.disconnect();
+    this.#canvasElement.remove();
+    this.#eventBus.clear();
+    return Result.success('Board renderer destroyed');
+  }
+
+  #initializeEventListeners() {
+    // Each player action arrives as one batch, however many cells a cascade opened
+    this.#eventBus.subscribe('board-state-changed', (event) => {
+      for (const position of event.data.positions) {
+        this.updateCell(position);
+      }
+    });
+
+    // Undo/redo may reopen a finished game
+    const handleHistoryMove = (event) => this.#setInteractive(event.data.isActive);
+    this.#eventBus.subscribe('move-undone', handleHistoryMove);
+    this.#eventBus.subscribe('move-redone', handleHistoryMove);
+
+    this.#eventBus.subscribe('game-won', () => this.#setInteractive(false));
+    this.#eventBus.subscribe('game-lost', () => this.#setInteractive(false));
+  }
+
+  #createCanvas() {
+    const { rows, cols } = this.#board.bounds;
+    const canvas = document.createElement('canvas');
+    canvas.className = 'board-canvas';
+    canvas.tabIndex = 0;
+    canvas.setAttribute('role', 'application');
+    canvas.setAttribute('aria-roledescription', 'Minesweeper board');
+    canvas.setAttribute('aria-label', `Minesweeper board, ${rows} rows by ${cols} columns`);
+    // While focused the label names the cursor cell, so the key help lives here
+    canvas.setAttribute('aria-description', 'Arrow keys move, Space or Enter reveals, F flags, C chords');
+    if (this.#board.topology.wrap) {
+      canvas.classList.add('wrap-board');
+    }
+
+    canvas.addEventListener('click', (event) => {
+      const position = this.#interactivePositionAt(event);
+      if (position) this.#input.click(position);
+    });
+
+    canvas.addEventListener('contextmenu', (event) => {
+      event.preventDefault();
+      const position = this.#interactivePositionAt(event);
+      if (position) this.#input.contextMenu(position);
+    });
+
+    canvas.addEventListener('mousedown', (event) => {
+      const position = this.#interactivePositionAt(event);
+      if (!position) return;
+      this.#moveCursor(position);
+      this.#input.mouseDown(event, position);
+    });
+    canvas.addEventListener('mouseup', (event) => this.#input.mouseUp(event));
+
+    canvas.addEventListener('pointerdown', (event) => {
+      const position = this.#interactivePositionAt(event);
+      if (position) this.#input.touchStart(event, position);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+      this.#input.touchMove(event);
+      if (event.pointerType === 'mouse') {
+        this.#setHover(this.#interactivePositionAt(event));
+      }
+    });
+    canvas.addEventListener('pointerleave', () => this.#setHover(null));
+    canvas.addEventListener('pointerup', (event) => this.#input.touchEnd(event));
+    canvas.addEventListener('pointercancel', () => this.#input.cancelTouch());
+
+    canvas.addEventListener('keydown', (event) => {
+      const target = this.#input.keyDown(event, this.#cursorPosition);
+      if (target) this.#moveCursor(target);
+    });
+    canvas.addEventListener('focus', () => {
+      this.#hasFocus = true;
+      this.updateCell(this.#cursorPosition);
+    });
+    canvas.addEventListener('blur', () => {
+      this.#hasFocus = false;
+      this.updateCell(this.#cursorPosition);
+    });
+
+    // Colors come from the theme's CSS variables and change with it
+    if (typeof MutationObserver !== 'undefined') {
+      this.#themeObserver = new MutationObserver(() => this.#drawBoard());
+      this.#themeObserver.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+    }
+
+    this.#canvasElement = canvas;
+    this.#context = canvas.getContext('2d');
+    this.#domContainer.appendChild(canvas);
+  }
+
+  #drawBoard() {
+    const { width, height } = this.#boardSize();
+    const pixelRatio = Math.min(
+      globalThis.devicePixelRatio || 1,
+      Math.sqrt(MAX_CANVAS_PIXELS / (width * height))
+    );
+
+    this.#canvasElement.width = Math.floor(width * pixelRatio);
+    this.#canvasElement.height = Math.floor(height * pixelRatio);
+    this.#canvasElement.style.width = `${width}px`;
+    this.#canvasElement.style.height = `${height}px`;
+    this.#context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+    this.#palette = this.#readPalette();
+    this.#cellStyles.clear();
+    this.#dirtyPositions.clear();
+
+    const context = this.#context;
+    context.fillStyle = this.#palette.panel;
+    context.fillRect(0, 0, width, height);
+    for (const cell of this.#board.getAllCells()) {
+      this.#drawCell(cell);
+    }
+  }
+
+  #scheduleFrame() {
+    if (this.#frameRequest !== null) return;
+    this.#frameRequest = requestAnimationFrame(() => {
+      this.#frameRequest = null;
+      for (const position of this.#dirtyPositions.values()) {
+        this.#drawCell(this.#board.getCellAt(position).value);
+      }
+      this.#dirtyPositions.clear();
+    });
+  }
+
+  #drawCell(cell) {
+    const context = this.#context;
+    const { position } = cell;
+    const { left, top } = this.#cellOrigin(position);
+    const rendered = this.#cellRenderer.render(cell);
+    const style = this.#cellStyle(rendered.className);
+    const overlay = cell.isHidden ? this.#probabilityOverlay.get(`${position.x},${position.y}`) : null;
+    const isHex = this.#board.topology.type === TOPOLOGY_TYPES.HEX;
+
+    context.fillStyle = this.#palette.panel;
+    context.fillRect(left - CELL_GAP / 2, top - CELL_GAP / 2, CELL_PITCH, CELL_PITCH);
+    context.globalAlpha = style.isDisabled ? 0.7 : 1;
+
+    context.beginPath();
+    if (isHex) {
+      context.arc(left + CELL_SIZE / 2, top + CELL_SIZE / 2, CELL_SIZE / 2 - 1, 0, Math.PI * 2);
+    } else {
+      context.roundRect(left + 0.75, top + 0.75, CELL_SIZE - 1.5, CELL_SIZE - 1.5, 5);
+    }
+    const isHovered = style.isHidden && this.#isInteractive && this.#isSamePosition(position, this.#hoverPosition);
+    context.fillStyle = isHovered ? this.#palette.cellHover : style.fill;
+    context.fill();
+    if (overlay) {
+      context.fillStyle = `hsl(${120 - 120 * overlay.probability} 65% 42% / 0.55)`;
+      context.fill();
+    }
+    context.lineWidth = 1.5;
+    context.strokeStyle = isHovered ? this.#palette.accent : style.border;
+    context.stroke();
+
+    const text = overlay && !rendered.content
+      ? String(Math.round(overlay.probability * 100))
+      : decodeEntities(rendered.content);
+    if (text) {
+      context.fillStyle = overlay ? this.#palette.text : style.text;
+      context.font = `bold ${overlay ? 9 : 15}px sans-serif`;
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText(text, left + CELL_SIZE / 2, top + CELL_SIZE / 2 + 1);
+    }
+    context.globalAlpha = 1;
+
+    if (this.#isSamePosition(position, this.#pressedPosition)) {
+      context.lineWidth = 4;
+      context.strokeStyle = this.#palette.warning;
+      context.strokeRect(left + 3, top + 3, CELL_SIZE - 6, CELL_SIZE - 6);
+    }
+    if (this.#hasFocus && this.#isSamePosition(position, this.#cursorPosition)) {
+      this.#canvasElement.setAttribute('aria-label',
+        `row ${position.x + 1} column ${position.y + 1}, ${rendered.label}`);
+      context.lineWidth = 2;
+      context.strokeStyle = this.#palette.warning;
+      context.strokeRect(left + 1, top + 1, CELL_SIZE - 2, CELL_SIZE - 2);
+    }
+  }
+
+  // Mirrors the cell rules in styles.css for the class names the strategies return
+  #cellStyle(className) {
+    let style = this.#cellStyles.get(className);
+    if (style) return style;
+
+    const classes = new Set(className.split(' '));
+    const palette = this.#palette;
+    const number = [...classes].find(name => name.startsWith('number-'));
+    style = {
+      fill: palette.cell,
+      border: palette.cellBorder,
+      text: palette.accent,
+      isHidden: className === 'cell',
+      isDisabled: classes.has('disabled')
+    };
+    if (classes.has('checked') || classes.has('revealed')) {
+      Object.assign(style, { fill: palette.cellChecked, border: palette.cellBorderChecked, text: palette.text });
+    }
+    if (classes.has('flagged')) {
+      Object.assign(style, { border: palette.warning, text: palette.warning });
+    }
+    if (classes.has('mined') || classes.has('exploded') || classes.has('wrong-flag')) {
+      Object.assign(style, { fill: palette.mine, border: palette.mine, text: '#fff' });
+    }
+    if (number) {
+      style.text = NUMBER_COLORS[Number(number.slice('number-'.length))] ?? style.text;
+    }
+
+    this.#cellStyles.set(className, style);
+    return style;
+  }
+
+  #readPalette() {
+    const computed = getComputedStyle(this.#domContainer);
+    const read = (name) => computed.getPropertyValue(name).trim();
+    return {
+      panel: read('--panel-bg'),
+      cell: read('--cell-bg'),
+      cellHover: read('--cell-bg-hover'),
+      cellChecked: read('--cell-bg-checked'),
+      cellBorder: read('--cell-border'),
+      cellBorderChecked: read('--cell-border-checked'),
+      mine: read('--cell-mine'),
+      text: read('--text-main'),
+      accent: read('--text-accent'),
+      warning: read('--text-warning')
+    };
+  }
+
+  // Hex boards use odd-r offset coordinates, so every odd row is shifted by half a cell
+  #rowOffset(row) {
+    return this.#board.topology.type === TOPOLOGY_TYPES.HEX && row % 2 === 1 ? CELL_PITCH / 2 : 0;
+  }
+
+  #boardSize() {
+    const { rows, cols } = this.#board.bounds;
+    const hexShift = this.#board.topology.type === TOPOLOGY_TYPES.HEX && rows > 1 ? CELL_PITCH / 2 : 0;
+    return {
+      width: BOARD_PADDING * 2 + cols * CELL_PITCH + hexShift,
+      height: BOARD_PADDING * 2 + rows * CELL_PITCH
+    };
+  }
+
+  #cellOrigin({ x, y }) {
+    return {
+      left: BOARD_PADDING + CELL_GAP / 2 + y * CELL_PITCH + this.#rowOffset(x),
+      top: BOARD_PADDING + CELL_GAP / 2 + x * CELL_PITCH
+    };
+  }
+
+  // The canvas may be scaled by CSS, so client coordinates are mapped back to board pixels
+  #positionAt(event) {
+    const rect = this.#canvasElement.getBoundingClientRect();
+    const scale = rect.width / this.#boardSize().width || 1;
+    const offsetX = (event.clientX - rect.left) / scale - BOARD_PADDING;
+    const offsetY = (event.clientY - rect.top) / scale - BOARD_PADDING;
+
+    const x = Math.floor(offsetY / CELL_PITCH);
+    const y = Math.floor((offsetX - this.#rowOffset(x)) / CELL_PITCH);
+    const { rows, cols } = this.#board.bounds;
+    if (x < 0 || x >= rows || y < 0 || y >= cols) {
+      return null;
+    }
+    return { x, y };
+  }
+
+  // After a game ends the board ignores pointer input, like the disabled table cells
+  #interactivePositionAt(event) {
+    return this.#isInteractive ? this.#positionAt(event) : null;
+  }
+
+  #setInteractive(isInteractive) {
+    this.#isInteractive = isInteractive;
+    this.#canvasElement.style.cursor = isInteractive ? '' : 'default';
+    if (!isInteractive) {
+      this.#setHover(null);
+    }
+  }
+
+  #setHover(position) {
+    if (this.#isSamePosition(position, this.#hoverPosition)) return;
+    const previous = this.#hoverPosition;
+    this.#hoverPosition = position;
+    if (previous) this.updateCell(previous);
+    if (position) this.updateCell(position);
+  }
+
+  #moveCursor(position) {
+    const previous = this.#cursorPosition;
+    this.#cursorPosition = { x: position.x, y: position.y };
+    this.updateCell(previous);
+    this.updateCell(position);
+    this.#scrollIntoView(position);
+  }
+
+  // Large boards overflow the container, so keyboard moves keep the cursor visible
+  #scrollIntoView(position) {
+    const { left } = this.#cellOrigin(position);
+    const container = this.#domContainer;
+    if (left < container.scrollLeft) {
+      container.scrollLeft = left - BOARD_PADDING;
+    } else if (left + CELL_PITCH > container.scrollLeft + container.clientWidth) {
+      container.scrollLeft = left + CELL_PITCH + BOARD_PADDING - container.clientWidth;
+    }
+  }
+
+  #isSamePosition(a, b) {
+    return Boolean(a && b) && a.x === b.x && a.y === b.y;
+  }
+}
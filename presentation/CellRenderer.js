@@ -3,6 +3,7 @@
 import {
   HiddenCellStrategy,
   FlaggedCellStrategy,
+  QuestionedCellStrategy,
   ExplodedMineStrategy,
   RevealedMineStrategy,
   NumberCellStrategy,
@@ -21,6 +22,7 @@ export class CellRenderer {
       new DisabledCellStrategy(),             // Check disabled first as it overrides other states
       new ExplodedMineStrategy(),             // Exploded mines have priority
       new FlaggedCellStrategy(),              // Flagged cells override revealed state
+      new QuestionedCellStrategy(),           // Question marks are still unrevealed
       new RevealedMineStrategy(),             // Revealed mines
       new NumberCellStrategy(),               // Number cells (revealed with mine neighbors)
       new EmptyCellStrategy(),                // Empty cells (revealed without mine neighbors)
@@ -30,12 +32,13 @@ export class CellRenderer {
     const strategy = this.#findStrategy(cell);
     if (!strategy) {
       console.warn(`No rendering strategy found for cell: ${cell.toString()}`);
-      return { content: '', className: 'cell' };
+      return { content: '', className: 'cell', label: 'hidden' };
     }
 
     const result = {
       content: strategy.render(cell),
-      className: strategy.getClassName(cell)
+      className: strategy.getClassName(cell),
+      label: strategy.describe(cell)
     };
 
     return result;
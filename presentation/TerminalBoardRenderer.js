@@ -0,0 +1,102 @@
+"use strict";
+
+import { Result } from '../common/Result.js';
+import { TOPOLOGY_TYPES } from '../common/Topology.js';
+
+const ANSI = Object.freeze({
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  dim: '\x1b[2m',
+  inverse: '\x1b[7m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m',
+  white: '\x1b[37m',
+  gray: '\x1b[90m'
+});
+
+// Terminal stand-ins for the .number-N colors in styles.css
+const NUMBER_COLORS = ['', ANSI.blue, ANSI.green, ANSI.red, ANSI.magenta, ANSI.yellow, ANSI.cyan, ANSI.white, ANSI.gray];
+
+/**
+ * Draws a board as text, one character per cell. Glyphs come from the class
+ * names the cell strategies return, so terminal and browser show the same states.
+ */
+export class TerminalBoardRenderer {
+  #board;
+  #cellRenderer;
+  #useColor;
+
+  constructor(board, cellRenderer, { color = true } = {}) {
+    this.#board = board;
+    this.#cellRenderer = cellRenderer;
+    this.#useColor = color;
+  }
+
+  // Rows and columns are labelled from 1, the way commands address them
+  render({ cursor = null } = {}) {
+    const { rows, cols } = this.#board.bounds;
+    const isHex = this.#board.topology.type === TOPOLOGY_TYPES.HEX;
+    const labelWidth = String(rows).length;
+    const lines = this.#columnHeader(cols, labelWidth);
+
+    for (let x = 0; x < rows; x++) {
+      // Hex boards use odd-r offset coordinates, so every odd row is shifted by half a cell
+      let line = `${String(x + 1).padStart(labelWidth)} ${isHex && x % 2 === 1 ? ' ' : ''}`;
+      for (let y = 0; y < cols; y++) {
+        const cell = this.#board.getCellAt({ x, y }).value;
+        const isCursor = cursor !== null && cursor.x === x && cursor.y === y;
+        line += `${this.#separator(cursor, x, y)}${this.#renderCell(cell, isCursor)}`;
+      }
+      lines.push(line + this.#separator(cursor, x, cols).trimEnd());
+    }
+
+    return Result.success(lines.join('\n'));
+  }
+
+  paint(text, ...styles) {
+    return this.#useColor && styles.length > 0 ? `${styles.join('')}${text}${ANSI.reset}` : text;
+  }
+
+  #renderCell(cell, isCursor) {
+    const { content, className } = this.#cellRenderer.render(cell);
+    const [glyph, ...styles] = this.#glyphFor(className, content);
+    return isCursor ? this.paint(glyph, ...styles, ANSI.inverse) : this.paint(glyph, ...styles);
+  }
+
+  // Without colors the cursor cell is bracketed instead of highlighted
+  #separator(cursor, x, y) {
+    if (this.#useColor || cursor === null || cursor.x !== x) return ' ';
+    if (cursor.y === y) return '[';
+    return cursor.y === y - 1 ? ']' : ' ';
+  }
+
+  #glyphFor(className, content) {
+    const classes = new Set(className.split(' '));
+    const number = [...classes].find(name => name.startsWith('number-'));
+
+    if (classes.has('wrong-flag')) return ['x', ANSI.red, ANSI.bold];
+    if (classes.has('exploded')) return ['X', ANSI.red, ANSI.bold, ANSI.inverse];
+    if (classes.has('mined')) return ['*', ANSI.red];
+    if (classes.has('flagged')) return ['F', ANSI.yellow, ANSI.bold];
+    if (classes.has('questioned')) return ['?', ANSI.cyan];
+    if (number) return [content, NUMBER_COLORS[Number(number.slice('number-'.length))] ?? '', ANSI.bold];
+    // Numbers of a finished game are disabled and lose their number class
+    if (classes.has('checked') || classes.has('revealed')) return [content || ' '];
+    return ['.', ANSI.dim];
+  }
+
+  // Column numbers are written vertically once they need two digits
+  #columnHeader(cols, labelWidth) {
+    const indent = ' '.repeat(labelWidth + 1);
+    const digits = (digitOf) => indent + Array.from({ length: cols }, (_, y) => ` ${digitOf(y + 1)}`).join('');
+    const units = digits(column => column % 10);
+    if (cols < 10) {
+      return [units];
+    }
+    return [digits(column => column >= 10 ? Math.floor(column / 10) % 10 : ' ').trimEnd(), units];
+  }
+}
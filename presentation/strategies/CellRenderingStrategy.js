@@ -2,6 +2,14 @@
 
 import { GAME_CONSTANTS } from '../../common/GameConstants.js';
 
+function describeNeighborMines(cell) {
+  switch (cell.neighborMineCount) {
+    case 0: return 'revealed, no mines adjacent';
+    case 1: return 'revealed, 1 mine adjacent';
+    default: return `revealed, ${cell.neighborMineCount} mines adjacent`;
+  }
+}
+
 export class CellRenderingStrategy {
   canHandle(cell) {
     throw new Error('canHandle method must be implemented');
@@ -13,6 +21,11 @@ export class CellRenderingStrategy {
   getClassName(cell) {
     return 'cell';  // Base cell class required for CSS styling
   }
+
+  // Spoken state of the cell for screen readers
+  describe(cell) {
+    return 'hidden';
+  }
 }
 
 export class HiddenCellStrategy extends CellRenderingStrategy {
@@ -39,6 +52,27 @@ export class FlaggedCellStrategy extends CellRenderingStrategy {
   getClassName(cell) {
     return 'cell flagged';
   }
+
+  describe(cell) {
+    return 'flagged';
+  }
+}
+
+export class QuestionedCellStrategy extends CellRenderingStrategy {
+  canHandle(cell) {
+    return cell.isQuestioned;
+  }
+
+  render(cell) {
+    return GAME_CONSTANTS.EMOJIS.QUESTION_MARK;
+  }
+  getClassName(cell) {
+    return 'cell questioned';
+  }
+
+  describe(cell) {
+    return 'question mark';
+  }
 }
 
 export class ExplodedMineStrategy extends CellRenderingStrategy {
@@ -51,6 +85,10 @@ export class ExplodedMineStrategy extends CellRenderingStrategy {
   }  getClassName(cell) {
     return 'cell mined exploded';
   }
+
+  describe(cell) {
+    return 'exploded mine';
+  }
 }
 
 export class RevealedMineStrategy extends CellRenderingStrategy {
@@ -63,6 +101,10 @@ export class RevealedMineStrategy extends CellRenderingStrategy {
   }  getClassName(cell) {
     return 'cell mined checked';
   }
+
+  describe(cell) {
+    return 'mine';
+  }
 }
 
 export class NumberCellStrategy extends CellRenderingStrategy {
@@ -76,6 +118,10 @@ export class NumberCellStrategy extends CellRenderingStrategy {
   getClassName(cell) {
     return `cell checked number-${cell.neighborMineCount}`;
   }
+
+  describe(cell) {
+    return describeNeighborMines(cell);
+  }
 }
 
 export class EmptyCellStrategy extends CellRenderingStrategy {
@@ -89,6 +135,10 @@ export class EmptyCellStrategy extends CellRenderingStrategy {
   getClassName(cell) {
     return 'cell checked';
   }
+
+  describe(cell) {
+    return describeNeighborMines(cell);
+  }
 }
 
 export class WrongFlagStrategy extends CellRenderingStrategy {
@@ -110,6 +160,10 @@ export class WrongFlagStrategy extends CellRenderingStrategy {
   getClassName(cell) {
     return 'cell wrong-flag';
   }
+
+  describe(cell) {
+    return 'wrongly flagged, no mine';
+  }
 }
 
 export class DisabledCellStrategy extends CellRenderingStrategy {
@@ -125,4 +179,11 @@ export class DisabledCellStrategy extends CellRenderingStrategy {
   }  getClassName(cell) {
     return cell.containsMine ? 'cell mined disabled' : 'cell checked disabled';
   }
+
+  describe(cell) {
+    if (cell.containsMine) {
+      return cell.isExploded ? 'exploded mine' : 'mine';
+    }
+    return describeNeighborMines(cell);
+  }
 }
\ No newline at end of file
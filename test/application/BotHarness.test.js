@@ -0,0 +1,75 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BotHarness, BOT_GAME_RESULTS } from '../../application/BotHarness.js';
+import { BOT_STRATEGIES, BotStrategy } from '../../application/BotStrategies.js';
+import { SeededRandom } from '../../common/SeededRandom.js';
+import { createContainer, registerProductionServices } from '../../infrastructure/ServiceRegistration.js';
+import { Config } from '../../domain/value-objects/GameConfiguration.js';
+
+const createHarness = () => {
+  const container = registerProductionServices(createContainer());
+  const harness = new BotHarness(container.resolve('gameServiceFactory'), container.resolve('eventBus'));
+  return { container, harness };
+};
+
+const randomBot = (seed) => BOT_STRATEGIES.random({ random: new SeededRandom(seed) });
+
+const config = new Config(6, 6, 0, { minesNumber: 8 });
+
+// Timings differ between runs, everything else must not
+const withoutTimes = ({ totalTimeMs, averageTimeMs, results, ...report }) => ({
+  ...report,
+  results: results.map(({ timeMs, ...game }) => game)
+});
+
+test('the same run seed plays the same games', () => {
+  const first = createHarness().harness.run({ config, strategy: randomBot(7), games: 10, seed: 42 }).value;
+  const second = createHarness().harness.run({ config, strategy: randomBot(7), games: 10, seed: 42 }).value;
+
+  assert.deepEqual(withoutTimes(first), withoutTimes(second));
+});
+
+test('the report names each outcome and counts them', () => {
+  const report = createHarness().harness.run({ config, strategy: randomBot(3), games: 20, seed: 11 }).value;
+  const outcomes = report.results.map(game => game.result);
+
+  assert.equal(outcomes.every(result => Object.values(BOT_GAME_RESULTS).includes(result)), true);
+  assert.equal(report.wins, outcomes.filter(result => result === 'won').length);
+  assert.equal(report.losses, outcomes.filter(result => result === 'lost').length);
+  assert.equal(report.wins + report.losses + report.stalled, 20);
+  assert.equal(report.losses > 0, true);
+  assert.equal(report.winRate, report.wins / 20);
+});
+
+test('a strategy without moves stalls the game', () => {
+  class IdleBot extends BotStrategy {
+    get name() { return 'idle'; }
+    chooseMoves() { return []; }
+  }
+
+  const report = createHarness().harness.run({ config, strategy: new IdleBot(), games: 2, seed: 1 }).value;
+
+  assert.deepEqual(report.results.map(game => game.result), ['stalled', 'stalled']);
+  assert.equal(report.stalled, 2);
+  assert.equal(report.results[0].bbbv, null);
+});
+
+test('a game the solver finishes is reported as won', () => {
+  const { container, harness } = createHarness();
+  const solver = BOT_STRATEGIES.solver({
+    solver: container.resolve('solver'),
+    probabilityCalculator: container.resolve('mineProbabilityCalculator')
+  });
+  const wall = new Config(5, 5, 0, { minesNumber: 5, mineLayout: [0, 1, 2, 3, 4].map(x => ({ x, y: 2 })) });
+
+  const game = harness.playGame(wall, solver, 1).value;
+
+  assert.equal(game.result, 'won');
+  assert.equal(typeof game.bbbv, 'number');
+});
+
+test('a run needs a positive number of games', () => {
+  assert.equal(createHarness().harness.run({ config, strategy: randomBot(1), games: 0 }).isFailure, true);
+});
@@ -0,0 +1,74 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, cellAt } from '../support/game.js';
+
+// Opening from the bottom-right corner leaves only 0,1 covered between the two mines
+const MINES = [{ x: 0, y: 0 }, { x: 0, y: 2 }];
+
+test('undoing a cascade covers its cells again and redo reopens them', () => {
+  const { gameService } = createGame({ mines: MINES });
+  gameService.revealCell({ x: 4, y: 4 });
+  const opened = gameService.getGameState().value.revealedCellsCount;
+
+  assert.equal(gameService.undo().isSuccess, true);
+  assert.equal(cellAt(gameService, 4, 4).isHidden, true);
+  assert.equal(gameService.getGameState().value.revealedCellsCount, 0);
+
+  assert.equal(gameService.redo().isSuccess, true);
+  assert.equal(cellAt(gameService, 4, 4).isRevealed, true);
+  assert.equal(gameService.getGameState().value.revealedCellsCount, opened);
+  gameService.destroy();
+});
+
+test('undoing a flag restores the mine counter', () => {
+  const { gameService } = createGame({ mines: MINES });
+  gameService.revealCell({ x: 4, y: 4 });
+  gameService.toggleCellFlag({ x: 0, y: 0 });
+
+  gameService.undo();
+
+  assert.equal(cellAt(gameService, 0, 0).isFlagged, false);
+  assert.equal(gameService.getGameState().value.remainingMines, 2);
+  gameService.destroy();
+});
+
+test('a new move after undo drops the moves that could be redone', () => {
+  const { gameService } = createGame({ mines: MINES });
+  gameService.revealCell({ x: 4, y: 4 });
+  gameService.toggleCellFlag({ x: 0, y: 0 });
+  gameService.undo();
+
+  gameService.toggleCellFlag({ x: 0, y: 2 });
+
+  assert.equal(gameService.canRedo, false);
+  gameService.destroy();
+});
+
+test('a game that used undo is marked, and keeps where its first click went', () => {
+  const { gameService } = createGame({ mines: MINES });
+  gameService.revealCell({ x: 4, y: 4 });
+
+  gameService.undo();
+
+  const gameState = gameService.getGameState().value;
+  assert.equal(gameState.usedUndo, true);
+  assert.deepEqual(gameState.firstClick, { x: 4, y: 4 });
+  assert.equal(gameState.generation.presetLayout, true);
+});
+
+test('a lost game can only be undone in practice mode', () => {
+  const strict = createGame({ mines: MINES });
+  strict.gameService.revealCell({ x: 4, y: 4 });
+  strict.gameService.revealCell({ x: 0, y: 0 });
+  assert.equal(strict.gameService.undo().isFailure, true);
+
+  const practice = createGame({ mines: MINES, practiceMode: true });
+  practice.gameService.revealCell({ x: 4, y: 4 });
+  practice.gameService.revealCell({ x: 0, y: 0 });
+  assert.equal(practice.gameService.undo().isSuccess, true);
+  assert.equal(practice.gameService.getGameState().value.isActive, true);
+  assert.equal(cellAt(practice.gameService, 0, 0).isHidden, true);
+  practice.gameService.destroy();
+});
@@ -0,0 +1,103 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameRecorder, GameReplay } from '../../application/GameReplay.js';
+import { ReplayPlayer } from '../../application/ReplayPlayer.js';
+import { createContainer, registerProductionServices } from '../../infrastructure/ServiceRegistration.js';
+import { createGame } from '../support/game.js';
+
+const MINES = [{ x: 0, y: 0 }, { x: 0, y: 2 }];
+
+const cellStates = (gameService) => gameService.getPlayerView().value.getAllCells().map(cell => cell.state);
+
+// Plays a short won game: open, flag both mines, chord the 2 between them
+const recordGame = () => {
+  const game = createGame({ mines: MINES });
+  const recorder = new GameRecorder(game.config, game.gameService);
+  recorder.attach(game.eventBus);
+
+  game.gameService.revealCell({ x: 4, y: 4 });
+  game.gameService.toggleCellFlag({ x: 0, y: 0 });
+  game.gameService.toggleCellFlag({ x: 0, y: 2 });
+  game.gameService.chordCell({ x: 1, y: 1 });
+
+  return { ...game, recorder };
+};
+
+const createPlayer = (replay) => {
+  const gameServiceFactory = registerProductionServices(createContainer()).resolve('gameServiceFactory');
+  return new ReplayPlayer(replay, (config) => gameServiceFactory(config));
+};
+
+test('a replay records every input with the mines and the result', () => {
+  const { gameService, recorder } = recordGame();
+
+  const replay = recorder.createReplay().value;
+
+  assert.deepEqual(replay.actions.map(({ action }) => action), ['reveal', 'flag', 'flag', 'chord']);
+  assert.deepEqual(replay.mines, MINES);
+  assert.equal(replay.result, gameService.getGameState().value.result);
+});
+
+test('a replay survives JSON and rebuilds the same board', () => {
+  const { gameService, recorder } = recordGame();
+  const json = JSON.stringify(recorder.createReplay().value);
+
+  const player = createPlayer(GameReplay.fromJSON(json).value);
+  assert.equal(player.seek(player.length).isSuccess, true);
+
+  assert.deepEqual(cellStates(player.gameService), cellStates(gameService));
+  assert.deepEqual(player.gameService.getGameState().value.result, gameService.getGameState().value.result);
+});
+
+test('stepping back rebuilds the game up to the previous input', () => {
+  const { recorder } = recordGame();
+  const player = createPlayer(recorder.createReplay().value);
+  player.seek(player.length);
+
+  player.stepBack();
+
+  assert.equal(player.position, 3);
+  assert.equal(player.gameService.getGameState().value.isActive, true);
+  assert.equal(player.gameService.getGameState().value.flaggedCellsCount, 2);
+});
+
+test('playback speed stays between 0.5x and 8x', () => {
+  const { recorder } = recordGame();
+  const player = createPlayer(recorder.createReplay().value);
+
+  assert.equal(player.setSpeed(0.25).isFailure, true);
+  assert.equal(player.setSpeed(9).isFailure, true);
+  assert.equal(player.setSpeed(8).isSuccess, true);
+});
+
+test('a replay with mines off the board or inputs out of order is rejected', () => {
+  const { recorder } = recordGame();
+  const data = recorder.createReplay().value.toJSON();
+
+  const offBoard = GameReplay.fromJSON({ ...data, mines: [...data.mines, { x: 9, y: 9 }] });
+  assert.match(offBoard.error, /outside the board/);
+
+  const actions = [{ time: 500, action: 'reveal', position: { x: 4, y: 4 } }, { time: 100, action: 'undo', position: null }];
+  const outOfOrder = GameReplay.fromJSON({ ...data, actions });
+  assert.match(outOfOrder.error, /invalid time/);
+});
+
+test('a game in progress can be exported as a replay', () => {
+  const game = createGame({ mines: MINES });
+  const recorder = new GameRecorder(game.config, game.gameService);
+  recorder.attach(game.eventBus);
+  assert.equal(recorder.createReplay().isFailure, true);
+
+  game.gameService.revealCell({ x: 4, y: 4 });
+  game.gameService.toggleCellFlag({ x: 0, y: 0 });
+  const replay = recorder.createReplay().value;
+
+  assert.deepEqual(replay.mines, MINES);
+  assert.equal(replay.result, null);
+  const player = createPlayer(GameReplay.fromJSON(JSON.stringify(replay)).value);
+  player.seek(player.length);
+  assert.deepEqual(cellStates(player.gameService), cellStates(game.gameService));
+  game.gameService.destroy();
+});
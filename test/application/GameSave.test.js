@@ -0,0 +1,137 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameSave } from '../../application/GameSave.js';
+import { exportMineLayout } from '../../application/MinesweeperGameService.js';
+import { GAME_CONSTANTS } from '../../common/GameConstants.js';
+import { createContainer, registerProductionServices } from '../../infrastructure/ServiceRegistration.js';
+import { createGame, cellAt } from '../support/game.js';
+
+const MINES = [{ x: 0, y: 0 }, { x: 0, y: 2 }];
+
+const cellStates = (gameService) => gameService.getPlayerView().value.getAllCells().map(cell => cell.state);
+
+const restore = (json) => {
+  const gameServiceFactory = registerProductionServices(createContainer()).resolve('gameServiceFactory');
+  return GameSave.fromJSON(json).flatMap(save => save.restore((config) => gameServiceFactory(config)));
+};
+
+test('a game in progress continues where it was saved', () => {
+  const { config, gameService } = createGame({ mines: MINES, seed: 12 });
+  gameService.revealCell({ x: 4, y: 4 });
+  gameService.toggleCellFlag({ x: 0, y: 0 });
+  const json = JSON.stringify(GameSave.capture(config, gameService).value);
+
+  const restored = restore(json).value;
+
+  assert.deepEqual(cellStates(restored), cellStates(gameService));
+  const saved = gameService.getGameState().value;
+  const resumed = restored.getGameState().value;
+  for (const field of ['flaggedCellsCount', 'revealedCellsCount', 'remainingMines', 'clicks', 'seed', 'firstClick']) {
+    assert.deepEqual(resumed[field], saved[field], field);
+  }
+  assert.ok(resumed.elapsed >= 0);
+
+  // The restored board still plays: opening the last safe cell wins
+  restored.revealCell({ x: 0, y: 1 });
+  assert.equal(restored.getGameState().value.isCompleted, true);
+  gameService.destroy();
+});
+
+test('a save made before the first move keeps only the seed', () => {
+  const { config, gameService } = createGame({ minesNumber: 4, seed: 'morning' });
+
+  const save = GameSave.capture(config, gameService).value;
+
+  assert.equal(save.isFirstMove, true);
+  assert.deepEqual(save.toJSON().mines, []);
+  assert.equal(restore(save.toJSON()).value.getGameState().value.seed, gameService.getGameState().value.seed);
+});
+
+test('a save whose counters do not match its board is rejected', () => {
+  const { config, gameService } = createGame({ mines: MINES });
+  gameService.revealCell({ x: 4, y: 4 });
+  const data = GameSave.capture(config, gameService).value.toJSON();
+
+  const result = restore({ ...data, gameState: { ...data.gameState, flaggedCellsCount: 1 } });
+
+  assert.match(result.error, /counters do not match/);
+  gameService.destroy();
+});
+
+test('a finished game cannot be saved', () => {
+  const { config, gameService } = createGame({ mines: MINES });
+  gameService.revealCell({ x: 4, y: 4 });
+  gameService.revealCell({ x: 0, y: 0 });
+
+  assert.equal(GameSave.capture(config, gameService).isFailure, true);
+});
+
+test('the mines of a game in progress are only read through a save', () => {
+  const { config, gameService } = createGame({ mines: MINES });
+  gameService.revealCell({ x: 4, y: 4 });
+
+  assert.equal('exportState' in gameService, false);
+  assert.equal(gameService.getMineLayout().isFailure, true);
+  assert.equal(gameService.getBoardState().isFailure, true);
+  assert.deepEqual(GameSave.capture(config, gameService).value.toJSON().mines, MINES);
+  gameService.destroy();
+});
+
+// Export board, then Import board, as the app does
+const exportAndImport = (container, gameService) => {
+  const textFormat = container.resolve('boardTextFormat');
+  const gameServiceFactory = registerProductionServices(createContainer()).resolve('gameServiceFactory');
+  return exportMineLayout(gameService)
+    .flatMap(layout => textFormat.format(layout))
+    .flatMap(text => textFormat.parse(text))
+    .flatMap(layout => GameSave.fromLayout(layout).restore((config) => gameServiceFactory(config)));
+};
+
+test('a board exported during play imports with its flags and open cells', () => {
+  const { container, gameService } = createGame({ mines: MINES });
+  gameService.revealCell({ x: 4, y: 4 });
+  gameService.toggleCellFlag({ x: 0, y: 0 });
+
+  const imported = exportAndImport(container, gameService).value;
+
+  assert.deepEqual(cellStates(imported), cellStates(gameService));
+  assert.equal(imported.getGameState().value.isActive, true);
+  gameService.destroy();
+});
+
+test('a lost board exports as it stood before the mine went off', () => {
+  const { container, gameService } = createGame({ mines: MINES });
+  gameService.revealCell({ x: 4, y: 4 });
+  gameService.toggleCellFlag({ x: 0, y: 2 });
+  const beforeLoss = cellStates(gameService);
+  gameService.revealCell({ x: 0, y: 0 });
+
+  const imported = exportAndImport(container, gameService).value;
+
+  assert.deepEqual(cellStates(imported), beforeLoss);
+  assert.equal(cellAt(imported, 0, 2).isFlagged, true);
+  gameService.destroy();
+});
+
+test('a won game hands out its cells as they were opened, not disabled', () => {
+  const { gameService } = createGame({ mines: MINES });
+  gameService.revealCell({ x: 4, y: 4 });
+  gameService.revealCell({ x: 0, y: 1 });
+  const { CELL_STATES } = GAME_CONSTANTS;
+
+  const { cellStates: states } = gameService.getMineLayout().value;
+
+  assert.equal(gameService.getGameState().value.isCompleted, true);
+  assert.equal(states.filter(state => state === CELL_STATES.REVEALED).length, 23);
+  assert.equal(states.includes(CELL_STATES.DISABLED), false);
+  gameService.destroy();
+});
+
+test('there is no board to export before the first reveal', () => {
+  const { gameService } = createGame({ mines: MINES });
+
+  assert.equal(exportMineLayout(gameService).error, 'Nothing to export until the first cell is revealed');
+  gameService.destroy();
+});
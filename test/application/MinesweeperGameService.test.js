@@ -0,0 +1,148 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GAME_CONSTANTS } from '../../common/GameConstants.js';
+import { PlayerCellView } from '../../application/PlayerBoardView.js';
+import { createGame, cellAt } from '../support/game.js';
+
+const { CELL_STATES } = GAME_CONSTANTS;
+
+const flagCycle = (gameService, position, times) => Array.from({ length: times }, () => {
+  gameService.toggleCellFlag(position);
+  return cellAt(gameService, position.x, position.y).state;
+});
+
+test('with question marks a flag becomes a question mark before it is cleared', () => {
+  const { gameService } = createGame({ mines: [{ x: 0, y: 0 }], questionMarks: true });
+
+  assert.deepEqual(flagCycle(gameService, { x: 2, y: 2 }, 3),
+    [CELL_STATES.FLAGGED, CELL_STATES.QUESTIONED, CELL_STATES.HIDDEN]);
+  assert.equal(gameService.getGameState().value.flaggedCellsCount, 0);
+});
+
+test('without question marks a flag is cleared directly', () => {
+  const { gameService } = createGame({ mines: [{ x: 0, y: 0 }] });
+
+  assert.deepEqual(flagCycle(gameService, { x: 2, y: 2 }, 2), [CELL_STATES.FLAGGED, CELL_STATES.HIDDEN]);
+});
+
+test('a question mark does not count as a flag', () => {
+  const { gameService } = createGame({ mines: [{ x: 0, y: 0 }, { x: 0, y: 2 }], questionMarks: true });
+  gameService.revealCell({ x: 4, y: 4 });
+  flagCycle(gameService, { x: 0, y: 1 }, 2);
+
+  const gameState = gameService.getGameState().value;
+  assert.equal(gameState.flaggedCellsCount, 0);
+  assert.equal(gameState.remainingMines, 2);
+});
+
+test('numbers on a hex board count the six hex neighbors', () => {
+  const { gameService } = createGame({ mines: [{ x: 1, y: 1 }, { x: 1, y: 2 }], topology: 'hex' });
+  gameService.revealCell({ x: 4, y: 4 });
+
+  // Row 2 is even, so 2,2 touches 1,1 and 1,2 while 2,3 touches only 1,2
+  assert.equal(cellAt(gameService, 2, 2).neighborMineCount, 2);
+  assert.equal(cellAt(gameService, 2, 3).neighborMineCount, 1);
+  gameService.destroy();
+});
+
+test('on a torus a mine in one corner numbers the opposite corners', () => {
+  const { gameService } = createGame({ mines: [{ x: 0, y: 0 }, { x: 2, y: 2 }], wrap: true });
+  gameService.revealCell({ x: 4, y: 4 });
+
+  assert.equal(cellAt(gameService, 4, 4).neighborMineCount, 1);
+  gameService.destroy();
+});
+
+test('with knight neighbors a number counts the mines a knight move away', () => {
+  const { gameService } = createGame({ mines: [{ x: 0, y: 0 }], neighborhood: 'knight', rows: 6, cols: 6 });
+  gameService.revealCell({ x: 5, y: 5 });
+
+  assert.equal(cellAt(gameService, 1, 2).neighborMineCount, 1);
+  assert.equal(cellAt(gameService, 1, 1).neighborMineCount, 0);
+  gameService.destroy();
+});
+
+const WALL = [0, 1, 2, 3, 4].map(x => ({ x, y: 1 }));
+
+const collect = (eventBus, type) => {
+  const events = [];
+  eventBus.subscribe(type, (event) => events.push(event.data));
+  return events;
+};
+
+const keysOf = (positions) => positions.map(({ x, y }) => `${x},${y}`).sort();
+
+test('a cascade publishes one batch with every cell it opened', () => {
+  const { gameService, eventBus } = createGame({ mines: WALL });
+  const batches = collect(eventBus, 'board-state-changed');
+  const reveals = collect(eventBus, 'cell-revealed');
+
+  gameService.revealCell({ x: 2, y: 4 });
+
+  assert.equal(batches.length, 1);
+  assert.equal(batches[0].action, 'reveal');
+  assert.deepEqual(batches[0].position, { x: 2, y: 4 });
+  const opened = [];
+  for (let x = 0; x < 5; x++) {
+    for (let y = 2; y < 5; y++) opened.push({ x, y });
+  }
+  assert.deepEqual(keysOf(batches[0].positions), keysOf(opened));
+  // Per-cell events are still published for listeners that want them
+  assert.deepEqual(keysOf(reveals.map(data => data.position)), keysOf(opened));
+  gameService.destroy();
+});
+
+test('flags, losses and undo each publish one batch', () => {
+  const { gameService, eventBus } = createGame({ mines: WALL, practiceMode: true });
+  gameService.revealCell({ x: 2, y: 4 });
+  const batches = collect(eventBus, 'board-state-changed');
+
+  gameService.toggleCellFlag({ x: 0, y: 0 });
+  gameService.revealCell({ x: 2, y: 1 });
+  gameService.undo();
+
+  assert.deepEqual(batches.map(batch => batch.action), ['flag', 'reveal', 'undo']);
+  assert.deepEqual(keysOf(batches[0].positions), ['0,0']);
+  // The loss shows every mine and the wrong flag in the same batch
+  assert.equal(batches[1].isActive, false);
+  assert.equal(batches[1].positions.length >= WALL.length + 1, true);
+  assert.equal(batches[2].isActive, true);
+  assert.deepEqual(keysOf(batches[2].positions), keysOf(batches[1].positions));
+  gameService.destroy();
+});
+
+test('an action that changes no cell publishes no batch', () => {
+  const { gameService, eventBus } = createGame({ mines: WALL });
+  gameService.revealCell({ x: 2, y: 4 });
+  const batches = collect(eventBus, 'board-state-changed');
+
+  gameService.revealCell({ x: 2, y: 4 });
+  gameService.toggleCellFlag({ x: 2, y: 4 });
+
+  assert.equal(batches.length, 0);
+  gameService.destroy();
+});
+
+test('action results hand out masked cells only', () => {
+  const { gameService } = createGame({ mines: WALL });
+
+  const reveal = gameService.revealCell({ x: 2, y: 4 }).value.revealData;
+  const flag = gameService.toggleCellFlag({ x: 2, y: 1 }).value.flagData;
+
+  assert.equal(reveal.cell instanceof PlayerCellView, true);
+  assert.equal(reveal.revealedNeighbors.every(({ cell }) => cell instanceof PlayerCellView), true);
+  assert.equal(flag.cell instanceof PlayerCellView, true);
+  assert.equal(flag.cell.containsMine, null);
+
+  gameService.toggleCellFlag({ x: 1, y: 1 });
+  gameService.toggleCellFlag({ x: 3, y: 1 });
+  gameService.revealCell({ x: 2, y: 0 });
+  const chord = gameService.chordCell({ x: 2, y: 0 }).value.chordData;
+
+  assert.equal(chord.cell instanceof PlayerCellView, true);
+  assert.equal(chord.revealedCells.length > 0, true);
+  assert.equal(chord.revealedCells.every(({ cell }) => cell instanceof PlayerCellView), true);
+  gameService.destroy();
+});
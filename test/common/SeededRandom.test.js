@@ -0,0 +1,43 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeededRandom } from '../../common/SeededRandom.js';
+import { createGame } from '../support/game.js';
+
+const draw = (random, count) => Array.from({ length: count }, () => random.nextInt(1000));
+
+const layoutFor = (seed, firstClick = { x: 4, y: 4 }) => {
+  const { gameService } = createGame({ rows: 9, cols: 9, minesNumber: 10, seed, debug: true });
+  gameService.revealCell(firstClick);
+  const { mines } = gameService.getMineLayout().value;
+  gameService.destroy();
+  return mines;
+};
+
+test('the same seed draws the same sequence', () => {
+  assert.deepEqual(draw(new SeededRandom(42), 20), draw(new SeededRandom(42), 20));
+  assert.notDeepEqual(draw(new SeededRandom(42), 20), draw(new SeededRandom(43), 20));
+});
+
+test('numeric text seeds match their number and other text is hashed', () => {
+  assert.equal(SeededRandom.normalizeSeed('123'), 123);
+  assert.equal(SeededRandom.normalizeSeed(' daily '), SeededRandom.normalizeSeed('daily'));
+  assert.equal(SeededRandom.normalizeSeed(-1), 0xFFFFFFFF);
+});
+
+test('blank and fractional seeds are rejected', () => {
+  assert.equal(SeededRandom.isValidSeed('  '), false);
+  assert.equal(SeededRandom.isValidSeed(1.5), false);
+  assert.throws(() => SeededRandom.normalizeSeed(''), TypeError);
+});
+
+test('a seed and first click always produce the same mine layout', () => {
+  assert.deepEqual(layoutFor('daily'), layoutFor('daily'));
+  assert.notDeepEqual(layoutFor('daily'), layoutFor('weekly'));
+});
+
+test('the game state reports the normalized seed', () => {
+  const { gameService } = createGame({ minesNumber: 3, seed: '77' });
+  assert.equal(gameService.getGameState().value.seed, 77);
+});
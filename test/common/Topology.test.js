@@ -0,0 +1,63 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Topology, TOPOLOGY_TYPES, NEIGHBORHOOD_TYPES, MAX_NEIGHBOR_COUNT } from '../../common/Topology.js';
+
+const BOUNDS = { rows: 6, cols: 6 };
+
+const keys = (positions) => positions.map(({ x, y }) => `${x},${y}`).sort();
+
+test('hex cells have six neighbors, shifted by row parity', () => {
+  const hex = Topology.from(TOPOLOGY_TYPES.HEX);
+
+  assert.deepEqual(keys(hex.neighbors({ x: 2, y: 2 }, BOUNDS)), ['1,1', '1,2', '2,1', '2,3', '3,1', '3,2']);
+  assert.deepEqual(keys(hex.neighbors({ x: 3, y: 2 }, BOUNDS)), ['2,2', '2,3', '3,1', '3,3', '4,2', '4,3']);
+});
+
+test('hex cells on the edge lose the neighbors off the board', () => {
+  assert.deepEqual(keys(Topology.from(TOPOLOGY_TYPES.HEX).neighbors({ x: 0, y: 0 }, BOUNDS)), ['0,1', '1,0']);
+});
+
+test('hex boards only count the standard neighborhood', () => {
+  assert.throws(() => Topology.from({ type: TOPOLOGY_TYPES.HEX, neighborhood: NEIGHBORHOOD_TYPES.KNIGHT }), TypeError);
+});
+
+test('a topology survives its JSON descriptor', () => {
+  const hex = Topology.from({ type: TOPOLOGY_TYPES.HEX, wrap: true });
+
+  assert.deepEqual(Topology.from(hex.toJSON()).toJSON(), hex.toJSON());
+});
+
+test('on a torus the corner cell borders the far edges', () => {
+  const torus = Topology.from({ type: TOPOLOGY_TYPES.SQUARE, wrap: true });
+
+  assert.deepEqual(keys(torus.neighbors({ x: 0, y: 0 }, BOUNDS)),
+    ['0,1', '0,5', '1,0', '1,1', '1,5', '5,0', '5,1', '5,5']);
+});
+
+test('a wrapped step that lands on a cell twice counts it once', () => {
+  const torus = Topology.from({ type: TOPOLOGY_TYPES.SQUARE, wrap: true, neighborhood: NEIGHBORHOOD_TYPES.RADIUS_2 });
+
+  // On four columns two steps left and two steps right reach the same column
+  const neighbors = torus.neighbors({ x: 1, y: 1 }, { rows: 4, cols: 4 });
+  assert.equal(new Set(keys(neighbors)).size, neighbors.length);
+  assert.equal(neighbors.length, 15);
+});
+
+test('square neighborhoods count 8, 4, 8 knight moves or 24 cells', () => {
+  const countFor = (neighborhood) => Topology.from({ type: TOPOLOGY_TYPES.SQUARE, neighborhood })
+    .neighbors({ x: 2, y: 2 }, BOUNDS).length;
+
+  assert.equal(countFor(NEIGHBORHOOD_TYPES.STANDARD), 8);
+  assert.equal(countFor(NEIGHBORHOOD_TYPES.ORTHOGONAL), 4);
+  assert.equal(countFor(NEIGHBORHOOD_TYPES.KNIGHT), 8);
+  assert.equal(countFor(NEIGHBORHOOD_TYPES.RADIUS_2), 24);
+  assert.equal(MAX_NEIGHBOR_COUNT, 24);
+});
+
+test('knight neighbors are exactly the knight moves', () => {
+  const knight = Topology.from({ type: TOPOLOGY_TYPES.SQUARE, neighborhood: NEIGHBORHOOD_TYPES.KNIGHT });
+
+  assert.deepEqual(keys(knight.neighbors({ x: 0, y: 0 }, BOUNDS)), ['1,2', '2,1']);
+});
@@ -0,0 +1,112 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContainer, registerProductionServices } from '../../../infrastructure/ServiceRegistration.js';
+import { createGame } from '../../support/game.js';
+
+// The counters must always agree with a scan of every cell
+const scan = (board) => {
+  const cells = board.getAllCells();
+  return {
+    revealed: cells.filter(cell => cell.isRevealed).length,
+    flagged: cells.filter(cell => cell.isFlagged).length,
+    exploded: cells.filter(cell => cell.isExploded).length,
+    unrevealedSafe: cells.filter(cell => !cell.containsMine && !cell.isRevealed).length
+  };
+};
+
+const counts = (board) => ({
+  revealed: board.revealedCount,
+  flagged: board.flaggedCount,
+  exploded: board.explodedCount,
+  unrevealedSafe: board.unrevealedSafeCount
+});
+
+// Keeps hold of the domain board the game service plays on
+const createObservedGame = (options) => {
+  const boardFactory = registerProductionServices(createContainer()).resolve('boardFactory');
+  let board;
+  const game = createGame({
+    ...options,
+    services: { boardFactory: () => (config) => (board = boardFactory(config)) }
+  });
+  return { ...game, board };
+};
+
+const WALL = [0, 1, 2, 3, 4].map(x => ({ x, y: 1 }));
+
+test('counters follow reveals, flags and undo', () => {
+  const { gameService, board } = createObservedGame({ mines: WALL });
+  const snapshots = [];
+  const record = () => {
+    assert.deepEqual(counts(board), scan(board));
+    snapshots.push(counts(board));
+  };
+
+  gameService.revealCell({ x: 2, y: 4 });
+  record();
+  gameService.toggleCellFlag({ x: 0, y: 1 });
+  gameService.toggleCellFlag({ x: 1, y: 1 });
+  record();
+  gameService.revealCell({ x: 0, y: 0 });
+  record();
+
+  gameService.undo();
+  assert.deepEqual(counts(board), scan(board));
+  gameService.undo();
+  gameService.undo();
+  assert.deepEqual(counts(board), snapshots[0]);
+  gameService.redo();
+  assert.deepEqual(counts(board), scan(board));
+  gameService.destroy();
+});
+
+test('a loss counts the exploded mine, and undo in practice mode takes it back', () => {
+  const { gameService, board } = createObservedGame({ mines: WALL, practiceMode: true });
+
+  gameService.revealCell({ x: 2, y: 4 });
+  gameService.revealCell({ x: 2, y: 1 });
+  assert.deepEqual(counts(board), scan(board));
+  assert.equal(board.explodedCount, 1);
+
+  gameService.undo();
+  assert.deepEqual(counts(board), scan(board));
+  assert.equal(board.explodedCount, 0);
+  gameService.destroy();
+});
+
+test('revealing the last safe cell leaves none unrevealed and wins', () => {
+  const { gameService, board } = createObservedGame({ mines: WALL });
+
+  gameService.revealCell({ x: 2, y: 4 });
+  assert.equal(board.unrevealedSafeCount, 5);
+  for (let x = 0; x < 4; x++) {
+    gameService.revealCell({ x, y: 0 });
+  }
+  assert.equal(board.unrevealedSafeCount, 1);
+
+  // Observed before the win disables the board
+  let countAtLastReveal = null;
+  board.onCellStateChanged(() => {
+    countAtLastReveal ??= board.unrevealedSafeCount;
+  });
+  gameService.revealCell({ x: 4, y: 0 });
+
+  assert.equal(countAtLastReveal, 0);
+  assert.equal(gameService.getGameState().value.isCompleted, true);
+  gameService.destroy();
+});
+
+test('a cloned board counts its own cells', () => {
+  const { gameService, board } = createObservedGame({ mines: WALL });
+  gameService.revealCell({ x: 2, y: 4 });
+
+  const clone = board.clone();
+  assert.deepEqual(counts(clone), counts(board));
+
+  clone.getCellAt({ x: 0, y: 0 }).value.reveal();
+  assert.deepEqual(counts(clone), scan(clone));
+  assert.equal(clone.revealedCount, board.revealedCount + 1);
+  gameService.destroy();
+});
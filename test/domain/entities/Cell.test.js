@@ -0,0 +1,18 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Cell } from '../../../domain/entities/Cell.js';
+
+test('numbers up to the largest neighborhood are accepted', () => {
+  const cell = new Cell('cell_0_0', false, { x: 0, y: 0 });
+
+  assert.equal(cell.setNeighborMineCount(24).isSuccess, true);
+  assert.equal(cell.setNeighborMineCount(25).isFailure, true);
+});
+
+test('a number can be capped by the board neighborhood', () => {
+  const cell = new Cell('cell_0_0', false, { x: 0, y: 0 });
+
+  assert.match(cell.setNeighborMineCount(5, 4).error, /between 0 and 4/);
+});
@@ -0,0 +1,54 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BoardAnalysisService } from '../../../domain/services/BoardAnalysisService.js';
+import { NeighborService } from '../../../domain/services/NeighborService.js';
+import { createContainer, registerProductionServices } from '../../../infrastructure/ServiceRegistration.js';
+import { Config } from '../../../domain/value-objects/GameConfiguration.js';
+import { createGame } from '../../support/game.js';
+
+const boardWith = (mines) => {
+  const board = registerProductionServices(createContainer()).resolve('boardFactory')(new Config(5, 5, 10));
+  board.placeMines(mines);
+  NeighborService.calculateMineCountsForBoard(board);
+  return board;
+};
+
+test('3BV counts each opening once plus every number outside the openings', () => {
+  // The 2 between the mines touches no zero, so it needs a click of its own
+  const analysis = new BoardAnalysisService().analyze(boardWith([{ x: 0, y: 0 }, { x: 0, y: 2 }])).value;
+
+  assert.equal(analysis.openings, 1);
+  assert.equal(analysis.islands, 1);
+  assert.equal(analysis.bbbv, 2);
+  assert.equal(analysis.solvedBbbv, 0);
+});
+
+test('a board without mines cannot be analyzed', () => {
+  assert.equal(new BoardAnalysisService().analyze(boardWith([])).isFailure, true);
+});
+
+test('efficiency is solved 3BV per click as a percentage', () => {
+  const metrics = new BoardAnalysisService()
+    .calculateMetrics({ solvedBbbv: 10 }, { left: 8, right: 2, chord: 0 }, 5000).value;
+
+  assert.equal(metrics.clicks.total, 10);
+  assert.equal(metrics.bbbvPerSecond, 2);
+  assert.equal(metrics.ioe, 1);
+  assert.equal(metrics.efficiency, 100);
+});
+
+test('the end of a game reports its analysis', () => {
+  const { gameService, eventBus } = createGame({ mines: [{ x: 0, y: 0 }, { x: 0, y: 2 }] });
+  let analysis = null;
+  eventBus.subscribe('game-won', (event) => { analysis = event.data.analysis; });
+
+  gameService.revealCell({ x: 4, y: 4 });
+  gameService.revealCell({ x: 0, y: 1 });
+
+  assert.equal(analysis.bbbv, 2);
+  assert.equal(analysis.solvedBbbv, 2);
+  assert.deepEqual(analysis.clicks, { left: 2, right: 0, chord: 0, total: 2 });
+  assert.equal(analysis.efficiency, 100);
+});
@@ -0,0 +1,42 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BoardTextFormat } from '../../../domain/services/BoardTextFormat.js';
+import { GameRules } from '../../../domain/services/GameRules.js';
+
+const format = new BoardTextFormat(new GameRules());
+
+const BOARD = [
+  '# cascade from the corner',
+  '*o...',
+  'fo...',
+  'Qq...',
+  '.....',
+  '....F'
+].join('\n');
+
+test('a parsed board formats back to the same text', () => {
+  const layout = format.parse(BOARD).value;
+
+  assert.deepEqual(layout.mines, [{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 4, y: 4 }]);
+  assert.equal(layout.hasStates, true);
+  assert.equal(format.format(layout).value, BOARD.split('\n').slice(1).join('\n') + '\n');
+});
+
+test('formatting without states writes only the mines', () => {
+  const text = format.format(format.parse(BOARD).value, { includeStates: false }).value;
+
+  assert.equal(text, '*....\n.....\n*....\n.....\n....*\n');
+});
+
+test('errors name the line and column', () => {
+  assert.equal(format.parse('*....\n..?..\n.....\n.....\n.....').error, "Line 2, column 3: unknown marker '?'");
+  assert.equal(format.parse('*....\n....\n.....\n.....\n.....').error, 'Line 2: expected 5 columns, found 4');
+  assert.equal(format.parse('*....\n.....\n..X..\n.....\n.....').error, 'Line 3, column 3: exploded mines cannot be imported');
+});
+
+test('the board size and mine count follow the game rules', () => {
+  assert.match(format.parse('*...\n....\n....\n....').error, /Board size 4x4 is not supported/);
+  assert.match(format.parse('.....\n.....\n.....\n.....\n.....').error, /found 0/);
+});
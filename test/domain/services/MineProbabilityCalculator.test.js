@@ -0,0 +1,41 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MineProbabilityCalculator } from '../../../domain/services/MineProbabilityCalculator.js';
+import { viewOf } from '../../support/view.js';
+
+const probabilities = (view, remainingMines) => Object.fromEntries(
+  new MineProbabilityCalculator().calculate(view, remainingMines).value.cells
+    .map(({ position, probability }) => [`${position.x},${position.y}`, probability]));
+
+test('two cells sharing one mine are even odds', () => {
+  assert.deepEqual(probabilities(viewOf('01.', '01.'), 1), { '0,2': 0.5, '1,2': 0.5 });
+});
+
+test('a forced mine is certain', () => {
+  assert.deepEqual(probabilities(viewOf('01.', '011', '000'), 1), { '0,2': 1 });
+});
+
+test('flags are counted as mines', () => {
+  assert.deepEqual(probabilities(viewOf('01F', '01.'), 0), { '1,2': 0 });
+});
+
+test('cells away from the numbers share the mines the numbers do not need', () => {
+  const result = probabilities(viewOf('1....'), 2);
+
+  assert.equal(result['0,1'], 1);
+  for (const key of ['0,2', '0,3', '0,4']) {
+    assert.ok(Math.abs(result[key] - 1 / 3) < 1e-9);
+  }
+});
+
+test('small frontiers are enumerated exactly', () => {
+  const { exact } = new MineProbabilityCalculator().calculate(viewOf('01.', '01.'), 1).value;
+
+  assert.equal(exact, true);
+});
+
+test('a missing mine count is reported', () => {
+  assert.equal(new MineProbabilityCalculator().calculate(viewOf('01.', '01.')).isFailure, true);
+});
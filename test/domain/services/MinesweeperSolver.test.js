@@ -0,0 +1,56 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MinesweeperSolver, SOLVER_RULES } from '../../../domain/services/MinesweeperSolver.js';
+import { viewOf } from '../../support/view.js';
+
+const positions = (deductions) => deductions.map(({ position }) => `${position.x},${position.y}`).sort();
+
+test('a number with as many covered neighbors as its value marks them all as mines', () => {
+  const { safe, mines } = new MinesweeperSolver().solve(viewOf('01.', '011', '000')).value;
+
+  assert.deepEqual(positions(mines), ['0,2']);
+  assert.equal(mines[0].rule, SOLVER_RULES.SINGLE);
+  assert.deepEqual(safe, []);
+});
+
+test('flags are guesses, not proof', () => {
+  const { deductions } = new MinesweeperSolver().solve(viewOf('01F', '01.')).value;
+
+  assert.deepEqual(deductions, []);
+});
+
+test('overlapping numbers are solved with the subset rule', () => {
+  const { safe, mines } = new MinesweeperSolver().solve(viewOf('01.', '01.', '01.')).value;
+
+  assert.deepEqual(positions(safe), ['0,2', '2,2']);
+  assert.deepEqual(positions(mines), ['1,2']);
+  assert.equal(safe.every(deduction => deduction.rule === SOLVER_RULES.SUBSET), true);
+});
+
+test('a 50/50 gives no deduction', () => {
+  const { deductions } = new MinesweeperSolver().solve(viewOf('01.', '01.'), { mineCount: 1 }).value;
+
+  assert.deepEqual(deductions, []);
+});
+
+test('the total mine count settles cells no number reaches', () => {
+  const { safe } = new MinesweeperSolver().solve(viewOf('1....'), { mineCount: 1 }).value;
+
+  assert.deepEqual(positions(safe), ['0,2', '0,3', '0,4']);
+  assert.equal(safe.every(deduction => deduction.rule === SOLVER_RULES.GLOBAL), true);
+});
+
+test('solving the same view twice gives the same answer', () => {
+  const view = viewOf('01.', '01.', '01.');
+  const solver = new MinesweeperSolver();
+
+  assert.deepEqual(solver.solve(view).value, solver.solve(view).value);
+});
+
+test('a malformed view is reported', () => {
+  const result = new MinesweeperSolver().solve({ bounds: { rows: 2, cols: 2 }, cells: [] });
+
+  assert.equal(result.isFailure, true);
+});
@@ -0,0 +1,112 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NoGuessLayoutGenerator, NO_GUESS_FALLBACK_REASONS } from '../../../domain/services/NoGuessLayoutGenerator.js';
+import { MinesweeperSolver } from '../../../domain/services/MinesweeperSolver.js';
+import { Config } from '../../../domain/value-objects/GameConfiguration.js';
+import { SeededRandom } from '../../../common/SeededRandom.js';
+import { Result } from '../../../common/Result.js';
+import { createContainer, registerProductionServices } from '../../../infrastructure/ServiceRegistration.js';
+import { createGame } from '../../support/game.js';
+
+const FIRST_CLICK = { x: 4, y: 4 };
+
+const createGenerator = (options = {}, solver = new MinesweeperSolver()) => {
+  const container = registerProductionServices(createContainer());
+  return new NoGuessLayoutGenerator(solver, container.resolve('cellInteractionService'), container.resolve('boardFactory'), options);
+};
+
+// Random layouts that keep the first click and its neighbors clear
+const randomLayouts = (config, seed) => {
+  const random = new SeededRandom(seed);
+  return () => {
+    const positions = new Map();
+    while (positions.size < config.minesNumber) {
+      const position = { x: random.nextInt(config.rows), y: random.nextInt(config.cols) };
+      if (Math.abs(position.x - FIRST_CLICK.x) > 1 || Math.abs(position.y - FIRST_CLICK.y) > 1) {
+        positions.set(`${position.x},${position.y}`, position);
+      }
+    }
+    return Array.from(positions.values());
+  };
+};
+
+test('the layout it returns can be cleared from the first click without guessing', () => {
+  const config = new Config(9, 9, 0, { minesNumber: 10 });
+  const generator = createGenerator();
+
+  const { positions, solved, reason } = generator.generate(config, FIRST_CLICK, randomLayouts(config, 7)).value;
+
+  assert.equal(solved, true);
+  assert.equal(reason, null);
+  assert.equal(generator.isSolvable(config, positions, FIRST_CLICK).value, true);
+});
+
+test('a board too dense for logic gets a regular layout', () => {
+  const config = new Config(9, 9, 0, { minesNumber: 30 });
+  const layout = randomLayouts(config, 7);
+
+  const { positions, solved, reason } = createGenerator().generate(config, FIRST_CLICK, layout).value;
+
+  assert.equal(solved, false);
+  assert.equal(reason, NO_GUESS_FALLBACK_REASONS.DENSITY_TOO_HIGH);
+  assert.equal(positions.length, 30);
+});
+
+test('the time budget is checked before every solver pass, not only between attempts', () => {
+  const config = new Config(9, 9, 0, { minesNumber: 10 });
+  let now = 0;
+  let solverPasses = 0;
+  const solver = new MinesweeperSolver();
+  const countingSolver = { solve: (...args) => { solverPasses++; return solver.solve(...args); } };
+  // The opening cannot reach the corner, and every clock reading moves time past the budget
+  const generator = createGenerator({ timeBudgetMs: 0, clock: () => now++ }, countingSolver);
+  const mines = [{ x: 0, y: 1 }, { x: 1, y: 0 }, { x: 1, y: 1 }];
+
+  const { positions, solved, attempts, reason } = generator.generate(config, FIRST_CLICK, () => mines).value;
+
+  assert.equal(reason, NO_GUESS_FALLBACK_REASONS.TIME_BUDGET);
+  assert.equal(solved, false);
+  assert.equal(attempts, 1);
+  assert.equal(solverPasses, 0);
+  assert.deepEqual(positions, mines);
+});
+
+test('a game that falls back is not reported as guess-free', () => {
+  const { gameService } = createGame({
+    rows: 9,
+    cols: 9,
+    minesNumber: 10,
+    noGuess: true,
+    services: {
+      noGuessLayoutGenerator: () => createGenerator({ timeBudgetMs: -1 })
+    }
+  });
+
+  gameService.revealCell(FIRST_CLICK);
+
+  const { generation } = gameService.getGameState().value;
+  assert.equal(generation.noGuess, false);
+  assert.equal(generation.reason, NO_GUESS_FALLBACK_REASONS.TIME_BUDGET);
+  gameService.destroy();
+});
+
+test('a generator error fails the first reveal instead of throwing', () => {
+  const { gameService } = createGame({
+    rows: 9,
+    cols: 9,
+    minesNumber: 10,
+    noGuess: true,
+    services: {
+      noGuessLayoutGenerator: () => ({ generate: () => Result.failure('solver crashed') })
+    }
+  });
+
+  const revealResult = gameService.revealCell(FIRST_CLICK);
+
+  assert.equal(revealResult.isFailure, true);
+  assert.match(revealResult.error, /solver crashed/);
+  assert.equal(gameService.getGameState().value.firstClick, null);
+  assert.equal(gameService.getPlayerView().value.getCellAt(FIRST_CLICK).value.isHidden, true);
+});
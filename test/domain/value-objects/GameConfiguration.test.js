@@ -0,0 +1,30 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Config } from '../../../domain/value-objects/GameConfiguration.js';
+
+test('a blank seed asks for a random layout', () => {
+  assert.equal(new Config(9, 9, 10, { seed: '   ' }).seed, null);
+});
+
+test('a malformed seed is rejected', () => {
+  assert.throws(() => new Config(9, 9, 10, { seed: 1.5 }), /seed must be an integer or a non-empty text/);
+  assert.throws(() => new Config(9, 9, 10, { seed: {} }), /seed/);
+});
+
+test('an exact mine count takes precedence over the percentage', () => {
+  const config = new Config(16, 30, 15, { minesNumber: 99 });
+
+  assert.equal(config.minesNumber, 99);
+  assert.ok(Math.abs(config.minesPercentage - 99 / 480 * 100) < 1e-9);
+});
+
+test('without a mine count the percentage is rounded to whole mines', () => {
+  assert.equal(new Config(9, 9, 15).minesNumber, 12);
+});
+
+test('a mine count must be a positive whole number', () => {
+  assert.throws(() => new Config(9, 9, 15, { minesNumber: 0 }), /positive integer/);
+  assert.throws(() => new Config(9, 9, 15, { minesNumber: 2.5 }), /positive integer/);
+});
@@ -0,0 +1,120 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameTimer } from '../../infrastructure/GameTimer.js';
+import { Result } from '../../common/Result.js';
+import { createGame } from '../support/game.js';
+
+const createClock = () => {
+  const clock = () => clock.now;
+  clock.now = 0;
+  return clock;
+};
+
+test('only running time is counted', () => {
+  const clock = createClock();
+  const timer = new GameTimer({ clock });
+
+  timer.start();
+  clock.now = 1500;
+  timer.stop();
+  clock.now = 9000;
+  timer.resume();
+  clock.now = 9250;
+
+  assert.equal(timer.elapsed, 1750);
+  assert.equal(timer.seconds, 1);
+  timer.stop();
+});
+
+test('a restored timer continues from the saved time', () => {
+  const clock = createClock();
+  const timer = new GameTimer({ clock });
+
+  timer.restore(42000);
+  clock.now = 500;
+
+  assert.equal(timer.elapsed, 42500);
+  timer.reset();
+  assert.equal(timer.elapsed, 0);
+  assert.equal(timer.isRunning, false);
+});
+
+test('tick listeners get whole seconds and can unsubscribe', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const clock = createClock();
+  const timer = new GameTimer({ clock });
+  const seconds = [];
+  const unsubscribe = timer.onTick(second => seconds.push(second));
+
+  timer.start();
+  clock.now = 1000;
+  t.mock.timers.tick(1000);
+  unsubscribe();
+  clock.now = 2000;
+  t.mock.timers.tick(1000);
+  timer.stop();
+
+  assert.deepEqual(seconds, [0, 1]);
+});
+
+test('the game clock starts with the first reveal and stops with the game', () => {
+  const clock = createClock();
+  const { gameService } = createGame({
+    mines: [{ x: 0, y: 0 }, { x: 0, y: 2 }],
+    services: { timerFactory: () => () => new GameTimer({ clock }) }
+  });
+
+  clock.now = 5000;
+  assert.equal(gameService.elapsed, 0);
+  gameService.revealCell({ x: 4, y: 4 });
+  clock.now = 8000;
+  gameService.revealCell({ x: 0, y: 1 });
+  clock.now = 20000;
+
+  assert.equal(gameService.getGameState().value.duration, 3000);
+  assert.equal(gameService.elapsed, 3000);
+});
+
+test('time spent placing the mines is not played time', () => {
+  const clock = createClock();
+  const slowGenerator = {
+    generate: (config, firstClick, createLayout) => {
+      clock.now += 5000;
+      return Result.success({ positions: createLayout(), solved: true, attempts: 40, reason: null });
+    }
+  };
+  const { gameService } = createGame({
+    rows: 9,
+    cols: 9,
+    minesNumber: 10,
+    noGuess: true,
+    services: { timerFactory: () => () => new GameTimer({ clock }), noGuessLayoutGenerator: () => slowGenerator }
+  });
+
+  gameService.revealCell({ x: 4, y: 4 });
+
+  assert.equal(gameService.elapsed, 0);
+  gameService.destroy();
+});
+
+test('a paused game counts no time and takes no moves', () => {
+  const clock = createClock();
+  const { gameService } = createGame({
+    mines: [{ x: 0, y: 0 }, { x: 0, y: 2 }],
+    services: { timerFactory: () => () => new GameTimer({ clock }) }
+  });
+  assert.equal(gameService.pause().isFailure, true);
+
+  gameService.revealCell({ x: 4, y: 4 });
+  clock.now = 1000;
+  gameService.pause();
+  clock.now = 61000;
+
+  assert.equal(gameService.revealCell({ x: 0, y: 1 }).error, 'Game is paused');
+  gameService.resume();
+  clock.now = 62000;
+  assert.equal(gameService.elapsed, 2000);
+  gameService.destroy();
+});
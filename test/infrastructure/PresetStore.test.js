@@ -0,0 +1,41 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PresetStore } from '../../infrastructure/PresetStore.js';
+import { MemoryStorage } from '../support/storage.js';
+
+test('saved presets are listed and a second save under the same name replaces the first', () => {
+  const store = new PresetStore(new MemoryStorage());
+
+  store.save({ name: ' Wide ', rows: 10, cols: 40, minesNumber: 60 });
+  store.save({ name: 'Wide', rows: 12, cols: 40, minesNumber: 70 });
+
+  assert.deepEqual(store.list(), [{ name: 'Wide', rows: 12, cols: 40, minesNumber: 70 }]);
+});
+
+test('built-in level names and broken values are refused', () => {
+  const store = new PresetStore(new MemoryStorage());
+
+  assert.match(store.save({ name: 'Expert', rows: 16, cols: 30, minesNumber: 99 }).error, /built-in level/);
+  assert.match(store.save({ name: 'Half', rows: 9.5, cols: 9, minesNumber: 10 }).error, /whole-number/);
+  assert.match(store.save({ name: '', rows: 9, cols: 9, minesNumber: 10 }).error, /Preset name/);
+  assert.deepEqual(store.list(), []);
+});
+
+test('removing a preset leaves the others', () => {
+  const store = new PresetStore(new MemoryStorage());
+  store.save({ name: 'A', rows: 9, cols: 9, minesNumber: 10 });
+  store.save({ name: 'B', rows: 9, cols: 9, minesNumber: 12 });
+
+  assert.equal(store.remove('A').isSuccess, true);
+  assert.equal(store.remove('A').isFailure, true);
+  assert.deepEqual(store.list().map(preset => preset.name), ['B']);
+});
+
+test('unreadable storage reads as no presets', () => {
+  const storage = new MemoryStorage();
+  storage.setItem('customPresets', '{not json');
+
+  assert.deepEqual(new PresetStore(storage).list(), []);
+});
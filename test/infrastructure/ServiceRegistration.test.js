@@ -0,0 +1,39 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createContainer,
+  registerDevelopmentServices,
+  registerProductionServices
+} from '../../infrastructure/ServiceRegistration.js';
+import { Config } from '../../domain/value-objects/GameConfiguration.js';
+
+const playFirstMove = (container) => {
+  const config = new Config(5, 5, 0, { minesNumber: 3 });
+  const gameService = container.resolve('gameServiceFactory')(config);
+  gameService.startNewGame();
+  gameService.revealCell({ x: 2, y: 2 });
+  gameService.destroy();
+};
+
+test('the container leaves the logger to the front end', () => {
+  assert.throws(() => createContainer().resolve('logger'), /Dependency 'logger' not found/);
+});
+
+test('the production logger keeps the first move quiet', (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+
+  playFirstMove(registerProductionServices(createContainer()));
+
+  assert.equal(log.mock.callCount(), 0);
+});
+
+test('the development logger traces where the mines were placed', (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+
+  playFirstMove(registerDevelopmentServices(createContainer()));
+
+  assert.deepEqual(log.mock.calls.map(call => call.arguments),
+    [['[MINESWEEPER]', 'First click at 2,2; placing mines around it']]);
+});
@@ -0,0 +1,76 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StatisticsStore } from '../../infrastructure/StatisticsStore.js';
+import { MemoryStorage } from '../support/storage.js';
+
+const createLogger = () => {
+  const warnings = [];
+  return { warnings, warn: (...args) => warnings.push(args.join(' ')) };
+};
+
+test('wins, streaks and times are kept per category', () => {
+  const store = new StatisticsStore(new MemoryStorage(), 'statistics', createLogger());
+
+  store.recordGame('beginner', { won: true, duration: 30000 });
+  store.recordGame('beginner', { won: true, duration: 20000 });
+  store.recordGame('beginner', { won: false });
+  const stats = store.recordGame('beginner', { won: true, duration: 40000 }).value;
+
+  assert.equal(stats.played, 4);
+  assert.equal(stats.wins, 3);
+  assert.equal(stats.currentStreak, 1);
+  assert.equal(stats.bestStreak, 2);
+  assert.equal(stats.bestTime, 20000);
+  assert.equal(stats.averageTime, 30000);
+});
+
+test('a game that used undo is not counted', () => {
+  const store = new StatisticsStore(new MemoryStorage(), 'statistics', createLogger());
+
+  const stats = store.recordGame('expert', { won: true, duration: 90000, usedUndo: true }).value;
+
+  assert.equal(stats.played, 0);
+  assert.deepEqual(store.list(), []);
+});
+
+test('a damaged entry is reported and kept in storage while other categories are recorded', () => {
+  const storage = new MemoryStorage();
+  const damaged = { played: 'many', wins: 1 };
+  storage.setItem('statistics', JSON.stringify({ expert: damaged }));
+  const logger = createLogger();
+  const store = new StatisticsStore(storage, 'statistics', logger);
+
+  store.recordGame('beginner', { won: true, duration: 10000 });
+  store.list();
+
+  assert.deepEqual(store.list().map(stats => stats.category), ['beginner']);
+  assert.deepEqual(JSON.parse(storage.getItem('statistics')).expert, damaged);
+  assert.deepEqual(logger.warnings, ["Statistics for 'expert' are damaged and left out"]);
+});
+
+test('unreadable statistics are moved aside before anything is written over them', () => {
+  const storage = new MemoryStorage();
+  storage.setItem('statistics', '{"beginner": {"played": 3,');
+  const logger = createLogger();
+  const store = new StatisticsStore(storage, 'statistics', logger);
+
+  store.recordGame('beginner', { won: false });
+
+  assert.equal(storage.getItem('statistics.damaged'), '{"beginner": {"played": 3,');
+  assert.equal(store.list()[0].played, 1);
+  assert.equal(logger.warnings.length, 1);
+});
+
+test('an import with a damaged entry changes nothing', () => {
+  const storage = new MemoryStorage();
+  const store = new StatisticsStore(storage, 'statistics', createLogger());
+  store.recordGame('beginner', { won: true, duration: 10000 });
+  const before = storage.getItem('statistics');
+
+  const result = store.importJSON({ version: 1, categories: { expert: { played: -1 } } });
+
+  assert.match(result.error, /'expert' are invalid/);
+  assert.equal(storage.getItem('statistics'), before);
+});
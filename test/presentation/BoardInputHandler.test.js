@@ -0,0 +1,206 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BoardInputHandler, TOUCH_MODES, DEFAULT_LONG_PRESS_DELAY } from '../../presentation/BoardInputHandler.js';
+import { createGame, cellAt } from '../support/game.js';
+
+// Opening from the bottom-right corner leaves only 0,1 covered between the two mines
+const openGame = () => {
+  const game = createGame({ mines: [{ x: 0, y: 0 }, { x: 0, y: 2 }] });
+  game.gameService.revealCell({ x: 4, y: 4 });
+  const input = new BoardInputHandler(game.gameService.getPlayerView().value, game.gameService);
+  return { ...game, input };
+};
+
+test('clicking a number with too few flags around it does nothing', (t) => {
+  const { gameService, input } = openGame();
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  input.click({ x: 1, y: 1 });
+
+  assert.equal(gameService.getGameState().value.clicks.chord, 0);
+  assert.equal(warn.mock.callCount(), 0);
+  gameService.destroy();
+});
+
+test('clicking a revealed empty cell does nothing', (t) => {
+  const { gameService, input } = openGame();
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  input.click({ x: 4, y: 4 });
+
+  assert.equal(gameService.getGameState().value.clicks.chord, 0);
+  assert.equal(warn.mock.callCount(), 0);
+  gameService.destroy();
+});
+
+test('clicking a number whose mines are all flagged chords it', () => {
+  const { gameService, input } = openGame();
+  gameService.toggleCellFlag({ x: 0, y: 0 });
+  gameService.toggleCellFlag({ x: 0, y: 2 });
+
+  input.click({ x: 1, y: 1 });
+
+  const gameState = gameService.getGameState().value;
+  assert.equal(gameState.clicks.chord, 1);
+  assert.equal(cellAt(gameService, 0, 1).isRevealed || cellAt(gameService, 0, 1).isDisabled, true);
+  assert.equal(gameState.isCompleted, true);
+  assert.equal('chordCount' in gameState, false);
+  gameService.destroy();
+});
+
+// Mines along the top row leave 0,1 and 0,3 covered; chording 1,0 uncovers 0,1
+const chordGame = () => {
+  const game = createGame({ mines: [{ x: 0, y: 0 }, { x: 0, y: 2 }, { x: 0, y: 4 }] });
+  game.gameService.revealCell({ x: 4, y: 4 });
+  game.gameService.toggleCellFlag({ x: 0, y: 0 });
+  game.gameService.toggleCellFlag({ x: 0, y: 2 });
+  const input = new BoardInputHandler(game.gameService.getPlayerView().value, game.gameService);
+  return { ...game, input };
+};
+
+const mouse = (buttons) => ({ button: 0, buttons, preventDefault() {} });
+const key = (name) => ({ key: name, ctrlKey: false, metaKey: false, altKey: false, preventDefault() {} });
+
+const chord = (input, position) => {
+  input.mouseDown(mouse(3), position);
+  input.mouseUp(mouse(1));
+  input.contextMenu(position);
+  input.mouseUp(mouse(0));
+};
+
+test('the click that releases a chord is ignored, the next one is not', () => {
+  const { gameService, input } = chordGame();
+
+  chord(input, { x: 1, y: 0 });
+  input.click({ x: 0, y: 3 });
+
+  assert.equal(gameService.getGameState().value.clicks.chord, 1);
+  assert.equal(cellAt(gameService, 0, 1).isRevealed, true);
+  assert.equal(cellAt(gameService, 0, 3).isRevealed, false);
+
+  input.click({ x: 0, y: 3 });
+
+  assert.equal(gameService.getGameState().value.isCompleted, true);
+  gameService.destroy();
+});
+
+test('a mouse click after a chord and a key press is not mistaken for the release', () => {
+  const { gameService, input } = chordGame();
+
+  chord(input, { x: 1, y: 0 });
+  input.keyDown(key('f'), { x: 0, y: 4 });
+  assert.equal(cellAt(gameService, 0, 4).isFlagged, true);
+
+  input.click({ x: 0, y: 3 });
+
+  assert.equal(cellAt(gameService, 0, 3).isRevealed || cellAt(gameService, 0, 3).isDisabled, true);
+  assert.equal(gameService.getGameState().value.isCompleted, true);
+  gameService.destroy();
+});
+
+const touch = (clientX = 0, clientY = 0) => ({ pointerType: 'touch', isPrimary: true, pointerId: 1, clientX, clientY });
+
+const tap = (input, position) => {
+  input.touchStart(touch(), position);
+  input.touchEnd(touch());
+};
+
+test('a tap digs in dig mode and flags in flag mode', () => {
+  const { gameService, input } = chordGame();
+
+  input.setTouchMode(TOUCH_MODES.FLAG);
+  tap(input, { x: 0, y: 1 });
+  assert.equal(cellAt(gameService, 0, 1).isFlagged, true);
+
+  input.setTouchMode(TOUCH_MODES.DIG);
+  tap(input, { x: 0, y: 3 });
+  assert.equal(cellAt(gameService, 0, 3).isRevealed, true);
+  gameService.destroy();
+});
+
+test('a long press does the other action of the touch mode', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { gameService, input } = chordGame();
+
+  input.touchStart(touch(), { x: 0, y: 1 });
+  t.mock.timers.tick(DEFAULT_LONG_PRESS_DELAY);
+  input.touchEnd(touch());
+  assert.equal(cellAt(gameService, 0, 1).isFlagged, true);
+
+  input.setTouchMode(TOUCH_MODES.FLAG);
+  input.touchStart(touch(), { x: 0, y: 3 });
+  t.mock.timers.tick(DEFAULT_LONG_PRESS_DELAY);
+  assert.equal(cellAt(gameService, 0, 3).isRevealed, true);
+  gameService.destroy();
+});
+
+test('a finger that moves away scrolls instead of tapping', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const presses = [];
+  const { gameService } = chordGame();
+  const input = new BoardInputHandler(gameService.getPlayerView().value, gameService, {
+    onPressChange: (position, isPressing) => presses.push(isPressing)
+  });
+
+  input.touchStart(touch(0, 0), { x: 0, y: 3 });
+  input.touchMove(touch(0, 30));
+  t.mock.timers.tick(DEFAULT_LONG_PRESS_DELAY);
+  input.touchEnd(touch(0, 30));
+
+  assert.deepEqual(presses, [true, false]);
+  assert.equal(cellAt(gameService, 0, 3).isRevealed, false);
+  assert.equal(cellAt(gameService, 0, 3).isFlagged, false);
+  gameService.destroy();
+});
+
+test('tapping a number chords only when its mines are all flagged', () => {
+  const unsatisfied = openGame();
+  tap(unsatisfied.input, { x: 1, y: 1 });
+  assert.equal(unsatisfied.gameService.getGameState().value.clicks.chord, 0);
+  unsatisfied.gameService.destroy();
+
+  const satisfied = chordGame();
+  satisfied.input.setTouchMode(TOUCH_MODES.FLAG);
+  tap(satisfied.input, { x: 1, y: 0 });
+  assert.equal(satisfied.gameService.getGameState().value.clicks.chord, 1);
+  assert.equal(cellAt(satisfied.gameService, 0, 1).isRevealed, true);
+  satisfied.gameService.destroy();
+});
+
+test('the mouse events a browser emulates after a tap do not act again', () => {
+  const { gameService, input } = chordGame();
+  input.setTouchMode(TOUCH_MODES.FLAG);
+
+  tap(input, { x: 0, y: 3 });
+  input.mouseDown(mouse(1), { x: 0, y: 3 });
+  input.click({ x: 0, y: 3 });
+  input.contextMenu({ x: 0, y: 3 });
+
+  assert.equal(cellAt(gameService, 0, 3).isFlagged, true);
+  assert.equal(cellAt(gameService, 0, 3).isRevealed, false);
+  gameService.destroy();
+});
+
+test('mouse and secondary pointers are left to the mouse handlers', () => {
+  const { gameService, input } = chordGame();
+
+  input.touchStart({ ...touch(), pointerType: 'mouse' }, { x: 0, y: 3 });
+  input.touchEnd({ ...touch(), pointerType: 'mouse' });
+  input.touchStart({ ...touch(), isPrimary: false }, { x: 0, y: 3 });
+  input.touchEnd({ ...touch(), isPrimary: false });
+
+  assert.equal(cellAt(gameService, 0, 3).isRevealed, false);
+  gameService.destroy();
+});
+
+test('touch settings reject values they cannot use', () => {
+  const { gameService, input } = chordGame();
+
+  assert.equal(input.setTouchMode('swipe').isFailure, true);
+  assert.equal(input.setLongPressDelay(0).isFailure, true);
+  assert.equal(input.touchMode, TOUCH_MODES.DIG);
+  assert.equal(input.longPressDelay, DEFAULT_LONG_PRESS_DELAY);
+  gameService.destroy();
+});
@@ -0,0 +1,144 @@
+"use strict";
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CanvasBoardRenderer } from '../../presentation/CanvasBoardRenderer.js';
+import { createGame, cellAt } from '../support/game.js';
+
+// Matches the renderer's layout: 8px padding, 24px cells with a 2px gap
+const CELL_PITCH = 26;
+const CELL_CENTER = 8 + 1 + 12;
+
+// Just enough of the DOM for the renderer: a canvas that records listeners and
+// draw calls, and animation frames that run when the test flushes them
+let frames;
+let drawCalls;
+
+const createCanvas = () => {
+  const listeners = new Map();
+  const context = new Proxy({}, {
+    get: (target, name) => name in target
+      ? target[name]
+      : (...args) => drawCalls.push({ name, args }),
+    set: (target, name, value) => {
+      target[name] = value;
+      return true;
+    }
+  });
+  const canvas = {
+    style: {},
+    classList: { add() {} },
+    attributes: {},
+    setAttribute(name, value) { this.attributes[name] = value; },
+    addEventListener: (type, listener) => listeners.set(type, listener),
+    getContext: () => context,
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: parseFloat(canvas.style.width) }),
+    remove() {},
+    fire: (type, event = {}) => listeners.get(type)({ preventDefault() {}, ...event })
+  };
+  return canvas;
+};
+
+const flushFrames = () => {
+  const pending = frames;
+  frames = [];
+  pending.forEach(callback => callback());
+};
+
+beforeEach(() => {
+  frames = [];
+  drawCalls = [];
+  globalThis.document = { createElement: createCanvas, body: {} };
+  globalThis.getComputedStyle = () => ({ getPropertyValue: () => '#000' });
+  globalThis.requestAnimationFrame = (callback) => frames.push(callback);
+  globalThis.cancelAnimationFrame = () => {};
+});
+
+afterEach(() => {
+  delete globalThis.document;
+  delete globalThis.getComputedStyle;
+  delete globalThis.requestAnimationFrame;
+  delete globalThis.cancelAnimationFrame;
+});
+
+const render = (game) => {
+  let canvas;
+  const container = { appendChild: (element) => { canvas = element; }, scrollLeft: 0, clientWidth: 1000 };
+  const renderer = new CanvasBoardRenderer(game.gameService.getPlayerView().value,
+    game.container.resolve('cellRenderer'), game.gameService, game.eventBus, container);
+  return { renderer, canvas };
+};
+
+// A column of mines keeps a first click from opening the whole board
+const WALL = [0, 1, 2, 3, 4].map(x => ({ x, y: 1 }));
+
+const clickAt = (canvas, x, y, rowOffset = 0) => canvas.fire('click', {
+  clientX: CELL_CENTER + y * CELL_PITCH + rowOffset,
+  clientY: CELL_CENTER + x * CELL_PITCH
+});
+
+test('a click is hit-tested to the cell under the pointer', () => {
+  const game = createGame({ mines: WALL });
+  const { renderer, canvas } = render(game);
+
+  clickAt(canvas, 2, 3);
+
+  assert.equal(cellAt(game.gameService, 2, 3).isRevealed, true);
+  assert.equal(game.gameService.getGameState().value.clicks.left, 1);
+  renderer.destroy();
+  game.gameService.destroy();
+});
+
+test('clicks on the padding around the board are ignored', () => {
+  const game = createGame({ mines: [{ x: 0, y: 0 }] });
+  const { renderer, canvas } = render(game);
+
+  canvas.fire('click', { clientX: 2, clientY: 2 });
+  canvas.fire('click', { clientX: CELL_CENTER, clientY: CELL_CENTER + 5 * CELL_PITCH });
+
+  assert.equal(game.gameService.getGameState().value.clicks.left, 0);
+  renderer.destroy();
+  game.gameService.destroy();
+});
+
+test('odd rows of a hex board are shifted by half a cell', () => {
+  const game = createGame({ mines: WALL, topology: 'hex' });
+  const { renderer, canvas } = render(game);
+
+  clickAt(canvas, 1, 3, CELL_PITCH / 2);
+
+  assert.equal(cellAt(game.gameService, 1, 3).isRevealed, true);
+  assert.equal(cellAt(game.gameService, 1, 0).isRevealed, false);
+  renderer.destroy();
+  game.gameService.destroy();
+});
+
+test('a cascade is drawn in one frame, each changed cell once', () => {
+  const game = createGame({ mines: WALL });
+  const { renderer, canvas } = render(game);
+  drawCalls = [];
+
+  clickAt(canvas, 4, 4);
+
+  assert.equal(frames.length, 1);
+  assert.equal(drawCalls.length, 0);
+  flushFrames();
+  // The three columns right of the wall opened; each cell shape is one roundRect call
+  assert.equal(drawCalls.filter(call => call.name === 'roundRect').length, 15);
+  renderer.destroy();
+  game.gameService.destroy();
+});
+
+test('the board ignores clicks once the game is over', () => {
+  const game = createGame({ mines: WALL });
+  const { renderer, canvas } = render(game);
+
+  clickAt(canvas, 4, 4);
+  clickAt(canvas, 0, 1);
+  assert.equal(game.gameService.getGameState().value.isCompleted, true);
+
+  clickAt(canvas, 0, 0);
+  assert.equal(game.gameService.getGameState().value.clicks.left, 2);
+  renderer.destroy();
+  game.gameService.destroy();
+});
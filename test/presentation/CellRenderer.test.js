@@ -0,0 +1,20 @@
+"use strict";
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CellRenderer } from '../../presentation/CellRenderer.js';
+import { GameOverService } from '../../infrastructure/GameOverService.js';
+import { GAME_CONSTANTS } from '../../common/GameConstants.js';
+import { createGame, cellAt } from '../support/game.js';
+
+test('a question mark renders with the class the stylesheet targets', () => {
+  const { gameService } = createGame({ mines: [{ x: 0, y: 0 }], questionMarks: true });
+  gameService.toggleCellFlag({ x: 2, y: 2 });
+  gameService.toggleCellFlag({ x: 2, y: 2 });
+
+  const rendered = new CellRenderer(new GameOverService()).render(cellAt(gameService, 2, 2));
+
+  assert.equal(rendered.content, GAME_CONSTANTS.EMOJIS.QUESTION_MARK);
+  assert.deepEqual(rendered.className.split(' '), ['cell', 'questioned']);
+  assert.equal(rendered.label, 'question mark');
+});
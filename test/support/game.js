@@ -0,0 +1,21 @@
+"use strict";
+
+import { createContainer, registerProductionServices } from '../../infrastructure/ServiceRegistration.js';
+import { Config } from '../../domain/value-objects/GameConfiguration.js';
+
+// A started game; the first reveal places the given mines, or random ones without a layout.
+// `services` replaces container entries by key before the game is created.
+export function createGame({ rows = 5, cols = 5, mines = null, minesNumber = mines?.length, debug = false, services = {}, ...options }) {
+  const container = registerProductionServices(createContainer());
+  for (const [key, factory] of Object.entries(services)) {
+    container.register(key, factory, { singleton: true });
+  }
+  const config = new Config(rows, cols, 0, { minesNumber, mineLayout: mines, ...options });
+  const gameService = container.resolve('gameServiceFactory')(config, config.seed, { debug });
+  gameService.startNewGame();
+  return { container, config, gameService, eventBus: container.resolve('eventBus') };
+}
+
+export function cellAt(gameService, x, y) {
+  return gameService.getPlayerView().value.getCellAt({ x, y }).value;
+}
@@ -0,0 +1,18 @@
+"use strict";
+
+// In-memory stand-in for localStorage
+export class MemoryStorage {
+  #items = new Map();
+
+  getItem(key) {
+    return this.#items.has(key) ? this.#items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.#items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.#items.delete(key);
+  }
+}
@@ -0,0 +1,17 @@
+"use strict";
+
+import { GAME_CONSTANTS } from '../../common/GameConstants.js';
+
+const { CELL_STATES } = GAME_CONSTANTS;
+
+// A player view from rows of markers: digits are revealed numbers, F a flag and . a covered cell
+export function viewOf(...rows) {
+  return {
+    bounds: { rows: rows.length, cols: rows[0].length },
+    cells: rows.flatMap((row, x) => Array.from(row, (marker, y) => ({
+      position: { x, y },
+      state: marker === '.' ? CELL_STATES.HIDDEN : marker === 'F' ? CELL_STATES.FLAGGED : CELL_STATES.REVEALED,
+      neighborMineCount: /\d/.test(marker) ? Number(marker) : null
+    })))
+  };
+}